@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import VideoStat, { RETENTION_BUCKETS } from '../models/VideoStat.js';
+import DailyViewer from '../models/DailyViewer.js';
+
+// User agents of crawlers, link previewers and scripted clients; their plays aren't counted
+const botPattern = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|lighthouse|phantomjs|curl|wget|python-requests|axios\/|node-fetch|go-http-client|java\//i;
+
+export const isBot = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  return !userAgent || botPattern.test(userAgent);
+};
+
+const hashIdentity = (identity) => crypto.createHash('sha256').update(identity).digest('hex');
+
+// Stable, non-reversible key for deduplicating one viewer's plays.
+// Anonymous viewers are told apart by address and browser, never by anything the client picks.
+export const viewerKey = (req) => {
+  return hashIdentity(req.user
+    ? `user:${req.user._id}`
+    : `anon:${req.ip}:${req.get('user-agent') || ''}`);
+};
+
+// Key for an anonymous player's own session id, or null. It only catches more
+// repeats (the same player on another network); a fresh id never adds a view.
+export const sessionKey = (req) => {
+  const sessionId = !req.user && typeof req.body.sessionId === 'string' && req.body.sessionId.slice(0, 64);
+  return sessionId ? hashIdentity(`session:${sessionId}`) : null;
+};
+
+// UTC midnight for the given time
+export const startOfDay = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Add to today's counters for one row, creating it on first use
+const bump = async (filter, inc) => {
+  const update = { $inc: inc };
+
+  try {
+    await VideoStat.updateOne(filter, update, { upsert: true });
+  } catch (error) {
+    // Two requests created the row at once; the second can just update it
+    if (error.code !== 11000) throw error;
+    await VideoStat.updateOne(filter, update);
+  }
+};
+
+const rowsFor = (video, date) => {
+  const channel = video.uploader._id || video.uploader;
+  return {
+    videoRow: { channel, video: video._id, date },
+    channelRow: { channel, video: null, date }
+  };
+};
+
+// A counted view, plus a unique viewer the first time this viewer shows up today
+export const recordView = async (video, viewer) => {
+  const date = startOfDay();
+  const { videoRow, channelRow } = rowsFor(video, date);
+
+  const [newForVideo, newForChannel] = await Promise.all([
+    DailyViewer.claim(video._id, date, viewer),
+    DailyViewer.claim(channelRow.channel, date, viewer)
+  ]);
+
+  await Promise.all([
+    bump(videoRow, { views: 1, uniqueViewers: newForVideo ? 1 : 0 }),
+    bump(channelRow, { views: 1, uniqueViewers: newForChannel ? 1 : 0 })
+  ]);
+};
+
+// Watch time and the retention slices reached since the player's last report
+export const recordPlayback = async (video, { watchedSeconds, buckets }) => {
+  const { videoRow, channelRow } = rowsFor(video, startOfDay());
+
+  const retention = {};
+  for (const bucket of buckets) {
+    retention[`retention.${bucket}`] = 1;
+  }
+
+  // Make sure the row has a zeroed retention array before incrementing its slots
+  try {
+    await VideoStat.updateOne(
+      { ...videoRow, retention: { $exists: false } },
+      { $set: { retention: new Array(RETENTION_BUCKETS).fill(0) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The row already has its array
+    if (error.code !== 11000) throw error;
+  }
+
+  await Promise.all([
+    bump(videoRow, { watchTime: watchedSeconds, ...retention }),
+    bump(channelRow, { watchTime: watchedSeconds })
+  ]);
+};
+
+// +1 for a like, -1 for an unlike
+export const recordLike = async (video, delta) => {
+  const { videoRow, channelRow } = rowsFor(video, startOfDay());
+
+  await Promise.all([
+    bump(videoRow, { likes: delta }),
+    bump(channelRow, { likes: delta })
+  ]);
+};
+
+export { RETENTION_BUCKETS };
@@ -0,0 +1,19 @@
+import AuthToken from '../models/AuthToken.js';
+import { sendMail } from '../mail/index.js';
+import { verifyEmailMessage, resetPasswordMessage } from '../mail/messages.js';
+
+const messages = {
+  'verify-email': verifyEmailMessage,
+  'reset-password': resetPasswordMessage
+};
+
+// Issue a fresh token and email its link. Delivery problems are logged rather than
+// reported, so responses don't depend on the mail server or reveal who has an account.
+export const sendTokenEmail = async (user, purpose, email = user.email) => {
+  try {
+    const token = await AuthToken.issue(user, purpose, email);
+    await sendMail(messages[purpose]({ username: user.username, email }, token));
+  } catch (error) {
+    console.error(`Send ${purpose} email error:`, error);
+  }
+};
@@ -0,0 +1,38 @@
+import jwt from 'jsonwebtoken';
+import { jwtSecret } from './sessions.js';
+
+// Files of private videos are only served with a token in the URL path that grants one
+// stored file or HLS package. Being part of the path, it carries over to the relative
+// segment URLs inside HLS playlists, which players fetch without any auth header.
+const MEDIA_TOKEN_TTL = '6h';
+
+const signMediaToken = (key) => jwt.sign({ media: key }, jwtSecret(), { expiresIn: MEDIA_TOKEN_TTL });
+
+// The key a media token grants access to, or null when it isn't valid
+export const verifyMediaToken = (token) => {
+  try {
+    const payload = jwt.verify(token, jwtSecret());
+    return typeof payload.media === 'string' ? payload.media : null;
+  } catch {
+    return null;
+  }
+};
+
+const withToken = (url, key) => url.replace('/api/media/', `/api/media/t/${signMediaToken(key)}/`);
+
+// A video as sent to someone allowed to watch it, with playback URLs that work for
+// them when it's private. Only locally stored media goes through the media route.
+export const withMediaAccess = (video) => {
+  const data = typeof video.toObject === 'function' ? video.toObject() : { ...video };
+  if (data.visibility !== 'private') {
+    return data;
+  }
+
+  if (data.storageDriver === 'local' && data.cloudinaryId && data.videoUrl) {
+    data.videoUrl = withToken(data.videoUrl, data.cloudinaryId);
+  }
+  if (data.hls?.storageDriver === 'local' && data.hls.masterUrl) {
+    data.hls = { ...data.hls, masterUrl: withToken(data.hls.masterUrl, data.hls.key) };
+  }
+  return data;
+};
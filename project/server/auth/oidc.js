@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// OpenID Connect providers come from the environment:
+//   OIDC_PROVIDERS=google,mock
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...          (omit for a public client)
+//   OIDC_GOOGLE_LABEL=Google               (button text, defaults to the id)
+//   OIDC_GOOGLE_SCOPES=openid email profile
+export const getProviders = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map((id) => id.trim().toLowerCase())
+  .filter(Boolean)
+  .map((id) => {
+    const env = (key) => process.env[`OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${key}`];
+    return {
+      id,
+      label: env('LABEL') || id,
+      issuer: (env('ISSUER') || '').replace(/\/+$/, ''),
+      clientId: env('CLIENT_ID'),
+      clientSecret: env('CLIENT_SECRET') || null,
+      scopes: env('SCOPES') || 'openid email profile'
+    };
+  })
+  .filter((provider) => provider.issuer && provider.clientId);
+
+export const getProvider = (id) => getProviders().find((provider) => provider.id === id) || null;
+
+// Only keys that can't be forged with the client secret
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const DISCOVERY_TTL = 60 * 60 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const detail = body?.error_description || body?.error || response.status;
+    throw new Error(`OIDC request to ${url} failed: ${detail}`);
+  }
+  return body;
+};
+
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/+$/, '') !== provider.issuer) {
+    throw new Error(`Issuer mismatch: expected ${provider.issuer}, got ${metadata.issuer}`);
+  }
+
+  discoveryCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+// Public key for an ID token, fetching the key set again once if the key is new (rotation)
+const signingKey = async (jwksUri, kid) => {
+  const findKey = (keys) => {
+    const candidates = keys.filter((key) => (key.use || 'sig') === 'sig');
+    return kid ? candidates.find((key) => key.kid === kid) : candidates.length === 1 && candidates[0];
+  };
+
+  let key = jwksCache.has(jwksUri) && findKey(jwksCache.get(jwksUri));
+  if (!key) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, keys);
+    key = findKey(keys);
+  }
+
+  if (!key) {
+    throw new Error(`No signing key ${kid || ''} in ${jwksUri}`);
+  }
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+const codeChallenge = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+// Where to send the browser, plus the secrets the callback has to check against
+export const startAuthorization = async (provider, redirectUri) => {
+  const metadata = await discover(provider);
+  const flow = {
+    provider: provider.id,
+    state: randomValue(),
+    nonce: randomValue(),
+    codeVerifier: randomValue()
+  };
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state: flow.state,
+    nonce: flow.nonce,
+    code_challenge: codeChallenge(flow.codeVerifier),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), flow };
+};
+
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await signingKey(metadata.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: provider.clientId
+  });
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new Error('ID token was issued to another client');
+  }
+
+  if (!nonce || claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+};
+
+// Finish the flow from the callback's query string. Returns the user's claims:
+// sub, and usually email, email_verified, name, preferred_username and picture.
+export const completeAuthorization = async (provider, redirectUri, flow, query) => {
+  if (query.error) {
+    throw new Error(`Provider returned ${query.error}: ${query.error_description || ''}`);
+  }
+
+  if (!flow || flow.provider !== provider.id || !query.state || query.state !== flow.state) {
+    throw new Error('State does not match');
+  }
+
+  if (!query.code) {
+    throw new Error('No authorization code');
+  }
+
+  const metadata = await discover(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: String(query.code),
+    redirect_uri: redirectUri,
+    code_verifier: flow.codeVerifier,
+    client_id: provider.clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+  if (!tokens.id_token) {
+    throw new Error('Token response has no ID token');
+  }
+
+  const claims = await verifyIdToken(provider, metadata, tokens.id_token, flow.nonce);
+
+  // Some providers keep profile details out of the ID token
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+    });
+    if (userInfo.sub === claims.sub) {
+      return { ...userInfo, ...claims };
+    }
+  }
+
+  return claims;
+};
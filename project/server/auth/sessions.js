@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+
+export const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days since last use
+
+// How long the previous refresh token still counts as a parallel refresh rather than reuse
+const ROTATION_GRACE = 30 * 1000;
+
+export const REFRESH_COOKIE = 'refreshToken';
+
+// The frontend is served from another site, so the cookie has to be SameSite=None (and so Secure).
+// It is only sent to the auth routes.
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'none',
+  path: '/api/auth'
+};
+
+export const jwtSecret = () => process.env.JWT_SECRET || 'fallback_secret';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+export const signAccessToken = (session) => jwt.sign(
+  { userId: session.user, sessionId: session._id },
+  jwtSecret(),
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+export const verifyAccessToken = (token) => jwt.verify(token, jwtSecret());
+
+export const readCookie = (req, cookieName) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === cookieName) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+};
+
+export const readRefreshToken = (req) => readCookie(req, REFRESH_COOKIE);
+
+const setRefreshCookie = (res, session, secret) => {
+  res.cookie(REFRESH_COOKIE, `${session._id}.${secret}`, { ...cookieOptions, maxAge: REFRESH_TOKEN_TTL });
+};
+
+export const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions);
+};
+
+const deviceDetails = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip || ''
+});
+
+// Sign a user in on this device: new session, refresh cookie, and an access token to return
+export const startSession = async (req, res, user) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+    ...deviceDetails(req)
+  });
+
+  setRefreshCookie(res, session, secret);
+
+  return signAccessToken(session);
+};
+
+// Trade the request's refresh token for a new one and a new access token.
+// Returns { session, accessToken } or { error } with one of:
+//   invalid    - missing, unknown, expired or revoked
+//   superseded - a parallel request already rotated it; retry with the new cookie
+//   reused     - an old token came back, so someone else has a copy; the session is ended
+export const rotateSession = async (req, res) => {
+  const [sessionId, secret] = String(readRefreshToken(req) || '').split('.');
+
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return { error: 'invalid' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return { error: 'invalid' };
+  }
+
+  const hash = hashSecret(secret);
+
+  if (hash !== session.tokenHash) {
+    if (hash === session.previousTokenHash && Date.now() - session.rotatedAt < ROTATION_GRACE) {
+      return { error: 'superseded' };
+    }
+
+    await Session.revoke({ _id: session._id }, 'reuse');
+    return { error: 'reused' };
+  }
+
+  const next = newSecret();
+  const now = new Date();
+
+  // Conditional on the hash so only one of two simultaneous refreshes wins
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashSecret(next),
+        previousTokenHash: hash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL),
+        ...deviceDetails(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { error: 'superseded' };
+  }
+
+  setRefreshCookie(res, rotated, next);
+
+  return { session: rotated, accessToken: signAccessToken(rotated) };
+};
+
+// The session named by the refresh cookie, whether or not its secret is current
+export const sessionIdFromCookie = (req) => {
+  const [sessionId] = String(readRefreshToken(req) || '').split('.');
+  return mongoose.isValidObjectId(sessionId) ? sessionId : null;
+};
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { jwtSecret } from './sessions.js';
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// 6 digits, SHA-1, 30 second steps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept the previous and next code too, for clocks that have drifted a little
+const DRIFT_STEPS = 1;
+
+const ISSUER = 'VideoShare';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// 160 random bits, base32 encoded, as authenticator apps expect
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// The time step a code belongs to, or null if it doesn't match.
+// Steps at or before lastUsedStep are refused so a code can't be replayed.
+export const verifyCode = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    const expected = codeAt(secret, step);
+    if (step > lastUsedStep && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// The otpauth:// URI an authenticator app scans, and the same as a QR code image
+export const enrollmentDetails = async (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  const otpauthUri = `otpauth://totp/${label}?${params}`;
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri)
+  };
+};
+
+// Recovery codes are shown once and stored only as hashes
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+export const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+// Fresh codes like "4f9a-c21e-7b0d", with their hashes for storage
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => (
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+  ));
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Proof that a user got their password right, exchanged for a session once the
+// second factor checks out
+export const signChallenge = (user) => jwt.sign(
+  { userId: user._id, purpose: 'two-factor' },
+  jwtSecret(),
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// The user id in a challenge, or null if it's invalid or expired
+export const verifyChallenge = (challenge) => {
+  try {
+    const decoded = jwt.verify(String(challenge || ''), jwtSecret());
+    return decoded.purpose === 'two-factor' ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+};
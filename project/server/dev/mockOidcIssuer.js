@@ -0,0 +1,169 @@
+// A minimal OpenID Connect provider for trying the sign-in flow locally.
+//
+//   node server/dev/mockOidcIssuer.js
+//
+// then run the server with
+//
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:5055
+//   OIDC_MOCK_CLIENT_ID=videoshare
+//   OIDC_MOCK_CLIENT_SECRET=secret
+//
+// The authorize page lets you pick any email, and whether the provider vouches for it.
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = process.env.MOCK_OIDC_PORT || 5055;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'videoshare';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'secret';
+
+const CODE_TTL = 60 * 1000;
+
+// A fresh signing key each run
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Stable subject per email, so signing in twice is the same provider account
+const subjectFor = (email) => `mock-${crypto.createHash('sha256').update(email).digest('hex').slice(0, 16)}`;
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+// Stand-in for the provider's login screen
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, response_type: responseType, code_challenge_method: method } = req.query;
+
+  if (clientId !== CLIENT_ID || responseType !== 'code' || method !== 'S256' || !req.query.redirect_uri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'scope', 'state', 'nonce', 'code_challenge']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n');
+
+  res.send(`<!doctype html>
+<title>Mock OIDC sign-in</title>
+<form method="post" action="/authorize" style="font-family: sans-serif; max-width: 320px; margin: 4em auto; display: grid; gap: 0.75em">
+  <h1>Mock provider</h1>
+  ${hidden}
+  <label>Email <input name="email" type="email" required value="${escapeHtml(req.query.login_hint)}"></label>
+  <label>Name <input name="name"></label>
+  <label><input name="email_verified" type="checkbox" checked> Email verified</label>
+  <button>Sign in</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const code = crypto.randomBytes(16).toString('base64url');
+
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri: req.body.redirect_uri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    expiresAt: Date.now() + CODE_TTL,
+    user: {
+      sub: subjectFor(email),
+      email,
+      email_verified: req.body.email_verified === 'on',
+      name: req.body.name || email.split('@')[0],
+      preferred_username: email.split('@')[0]
+    }
+  });
+
+  const redirect = new URL(req.body.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (req.body.state) {
+    redirect.searchParams.set('state', req.body.state);
+  }
+  res.redirect(redirect.toString());
+});
+
+// Client credentials from a Basic header or the form body
+const clientCredentials = (req) => {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+    return { id: decodeURIComponent(id), secret: decodeURIComponent(secret || '') };
+  }
+  return { id: req.body.client_id, secret: req.body.client_secret };
+};
+
+app.post('/token', (req, res) => {
+  const client = clientCredentials(req);
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+
+  if (
+    req.body.grant_type !== 'authorization_code' ||
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.clientId !== client.id ||
+    grant.redirectUri !== req.body.redirect_uri ||
+    grant.codeChallenge !== challenge
+  ) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const accessToken = crypto.randomBytes(16).toString('base64url');
+  accessTokens.set(accessToken, grant.user);
+
+  const idToken = jwt.sign(
+    { ...grant.user, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const user = accessTokens.get((req.get('authorization') || '').replace('Bearer ', ''));
+  if (!user) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(user);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC issuer running at ${ISSUER} (client ${CLIENT_ID})`);
+});
@@ -0,0 +1,10 @@
+// Prints messages to the server log instead of sending them
+const createConsoleMailer = () => ({
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    console.log(`Mail from ${from} to ${to}: ${subject}\n${text}`);
+  }
+});
+
+export default createConsoleMailer;
@@ -0,0 +1,25 @@
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Writes each message to MAIL_DIR as JSON, so local testing can read links out of it
+const createFileMailer = () => {
+  const outbox = path.resolve(process.env.MAIL_DIR || 'mail-outbox');
+
+  return {
+    name: 'file',
+
+    async send({ from, to, subject, text, html }) {
+      const sentAt = new Date();
+      const fileName = `${sentAt.getTime()}-${crypto.randomBytes(4).toString('hex')}.json`;
+
+      await fsp.mkdir(outbox, { recursive: true });
+      await fsp.writeFile(
+        path.join(outbox, fileName),
+        JSON.stringify({ from, to, subject, text, html, sentAt }, null, 2)
+      );
+    }
+  };
+};
+
+export default createFileMailer;
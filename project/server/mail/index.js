@@ -0,0 +1,39 @@
+import createSmtpMailer from './smtpMailer.js';
+import createFileMailer from './fileMailer.js';
+import createConsoleMailer from './consoleMailer.js';
+
+const factories = {
+  smtp: createSmtpMailer,
+  file: createFileMailer,
+  console: createConsoleMailer
+};
+
+const instances = {};
+
+// Name of the configured driver. Without an SMTP server, mail is printed to the console.
+export const defaultDriver = () => {
+  if (process.env.MAIL_DRIVER) {
+    return process.env.MAIL_DRIVER;
+  }
+  return process.env.SMTP_HOST ? 'smtp' : 'console';
+};
+
+// Get a mailer by name, or the configured one when no name is given
+const getMailer = (name = defaultDriver()) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail driver: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factory();
+  }
+  return instances[name];
+};
+
+const mailFrom = () => process.env.MAIL_FROM || 'VideoShare <no-reply@vid-share.onrender.com>';
+
+// Send a { to, subject, text, html } message through the configured mailer
+export const sendMail = (message) => getMailer().send({ from: mailFrom(), ...message });
+
+export default getMailer;
@@ -0,0 +1,39 @@
+// Site the links in emails point at
+const clientUrl = () => process.env.CLIENT_URL || 'https://vid-share.onrender.com';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// A short message with one button, as plain text and HTML
+const actionMessage = ({ to, subject, greeting, intro, action, link, outro }) => ({
+  to,
+  subject,
+  text: `${greeting}\n\n${intro}\n\n${link}\n\n${outro}`,
+  html: `<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+<p>${escapeHtml(outro)}</p>`
+});
+
+export const verifyEmailMessage = (user, token) => actionMessage({
+  to: user.email,
+  subject: 'Confirm your VideoShare email address',
+  greeting: `Hi ${user.username},`,
+  intro: 'Confirm this is your email address to finish setting up your account:',
+  action: 'Confirm email address',
+  link: `${clientUrl()}/verify-email?token=${token}`,
+  outro: "The link expires in 24 hours. If you didn't sign up for VideoShare, you can ignore this email."
+});
+
+export const resetPasswordMessage = (user, token) => actionMessage({
+  to: user.email,
+  subject: 'Reset your VideoShare password',
+  greeting: `Hi ${user.username},`,
+  intro: 'Someone asked to reset the password for your account. Choose a new one here:',
+  action: 'Reset password',
+  link: `${clientUrl()}/reset-password?token=${token}`,
+  outro: "The link expires in 1 hour and works once. If you didn't ask for this, you can ignore this email."
+});
@@ -0,0 +1,25 @@
+import nodemailer from 'nodemailer';
+
+const createSmtpMailer = () => {
+  const port = Number(process.env.SMTP_PORT) || 587;
+
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    // Port 465 talks TLS from the start; others upgrade with STARTTLS
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ from, to, subject, text, html }) {
+      await transport.sendMail({ from, to, subject, text, html });
+    }
+  };
+};
+
+export default createSmtpMailer;
@@ -1,17 +1,35 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { verifyAccessToken } from '../auth/sessions.js';
+
+// The user behind a request's access token, or null if the token's session has ended.
+// Throws when the token itself is malformed or expired.
+const authenticate = async (req, token) => {
+  const decoded = verifyAccessToken(token);
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select('-password'),
+    decoded.sessionId && Session.exists({ _id: decoded.sessionId, ...Session.activeFilter() })
+  ]);
+
+  if (!user || !session) {
+    return null;
+  }
+
+  req.sessionId = decoded.sessionId;
+  return user;
+};
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-    const user = await User.findById(decoded.userId).select('-password');
-    
+    const user = await authenticate(req, token);
+
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
@@ -24,4 +42,19 @@ const auth = async (req, res, next) => {
   }
 };
 
-export default auth;
\ No newline at end of file
+// Attach the user when a valid token is sent, but let anonymous requests through
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+      req.user = await authenticate(req, token);
+    }
+  } catch {
+    // Treat an invalid token the same as no token
+    req.user = null;
+  }
+  next();
+};
+
+export default auth;
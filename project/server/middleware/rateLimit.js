@@ -0,0 +1,81 @@
+import getStore from '../rateLimit/index.js';
+import { lockedFor, recordFailure, clearFailures, secondsUntil } from '../rateLimit/failures.js';
+
+const describeWait = (seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  return seconds < 60 ? `${seconds} seconds` : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// 429 with Retry-After. The wait is in the body too, since the frontend is on
+// another origin and can't read the header.
+export const tooManyRequests = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ message: `${message} Try again in ${describeWait(retryAfter)}.`, retryAfter });
+};
+
+// Cap how often one IP address can call a route within a window
+export const rateLimit = ({ name, max, windowMs, message }) => async (req, res, next) => {
+  try {
+    const { count, expiresAt } = await getStore().increment(`${name}:ip:${req.ip}`, windowMs);
+
+    if (count > max) {
+      return tooManyRequests(res, secondsUntil(expiresAt), message);
+    }
+  } catch (error) {
+    // An unreachable store shouldn't take sign-in down with it
+    console.error('Rate limit error:', error);
+  }
+  next();
+};
+
+const LOCKED_MESSAGE = 'Too many failed attempts.';
+
+// The failure tracking below fails open like rateLimit: if the store can't be
+// reached the attempt goes ahead untracked, and the error is logged.
+
+// Send a 429 if any of the attempts' keys is locked out. Returns whether it did.
+export const rejectIfLocked = async (res, attempts) => {
+  let retryAfter = 0;
+  try {
+    retryAfter = await lockedFor(attempts);
+  } catch (error) {
+    console.error('Rate limit error:', error);
+  }
+
+  if (retryAfter) {
+    tooManyRequests(res, retryAfter, LOCKED_MESSAGE);
+    return true;
+  }
+  return false;
+};
+
+// Count a failed attempt, holding the response back as failures pile up. Sends a 429
+// and returns true when this failure locks a key out; otherwise the caller responds.
+export const failedAttempt = async (res, attempts) => {
+  let delayMs = 0;
+  let retryAfter = 0;
+  try {
+    ({ delayMs, retryAfter } = await recordFailure(attempts));
+  } catch (error) {
+    console.error('Rate limit error:', error);
+  }
+
+  if (delayMs) {
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+  }
+
+  if (retryAfter) {
+    tooManyRequests(res, retryAfter, LOCKED_MESSAGE);
+    return true;
+  }
+  return false;
+};
+
+// Forget the account's failures after a successful attempt. The address keeps its count.
+export const succeededAttempt = async (attempts) => {
+  try {
+    await clearFailures(attempts[0].key);
+  } catch (error) {
+    console.error('Rate limit error:', error);
+  }
+};
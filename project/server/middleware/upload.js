@@ -0,0 +1,42 @@
+import multer from 'multer';
+import os from 'os';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const videoExtensions = ['.mp4', '.mov', '.avi', '.wmv', '.flv', '.webm'];
+export const MAX_VIDEO_SIZE = 5 * 1024 * 1024 * 1024; // 5GB limit
+
+const imageTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Uploads land in a temp directory and are handed to the storage adapter afterwards
+export const videoUpload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: MAX_VIDEO_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(null, videoExtensions.includes(ext));
+  }
+});
+
+export const imageUpload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    cb(null, imageTypes.includes(file.mimetype));
+  }
+});
+
+// Remove a request's multer temp file. Storing it moves it away, so this only
+// catches uploads that were rejected or failed partway.
+export const removeTempUpload = async (file) => {
+  if (!file) return;
+  try {
+    await fs.rm(file.path, { force: true });
+  } catch (error) {
+    console.error('Temp upload cleanup error:', error);
+  }
+};
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// How long each kind of emailed link stays valid
+const lifetimes = {
+  'verify-email': 24 * 60 * 60 * 1000,
+  'reset-password': 60 * 60 * 1000
+};
+
+// A single-use token sent by email. Only its hash is stored.
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: Object.keys(lifetimes),
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The address the token was sent to, so a later email change makes it useless
+  email: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+authTokenSchema.index({ user: 1, purpose: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create a token for the user, replacing any earlier one for the same purpose.
+// Returns the raw token to put in the link.
+authTokenSchema.statics.issue = async function(user, purpose, email = user.email) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await this.deleteMany({ user: user._id, purpose });
+  await this.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + lifetimes[purpose])
+  });
+
+  return token;
+};
+
+// Use up a token. Deleting it in the same step means two requests can't both redeem it.
+// Returns the token document, or null when it is unknown, expired or already used.
+authTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndDelete({
+    tokenHash: hashToken(token),
+    purpose,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+export default mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const commentSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Top-level comment this one replies to; replies only go one level deep
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+commentSchema.index({ video: 1, parent: 1, _id: -1 });
+
+export default mongoose.model('Comment', commentSchema);
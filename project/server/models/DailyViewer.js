@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Marks that a viewer was already counted as unique for a video or
+// channel on a given day. Expires once the day can no longer change.
+const dailyViewerSchema = new mongoose.Schema({
+  // Video or channel id the viewer was counted for
+  scope: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  viewer: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+dailyViewerSchema.index({ scope: 1, date: 1, viewer: 1 }, { unique: true });
+dailyViewerSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Resolves true the first time a viewer is seen for this scope and day
+dailyViewerSchema.statics.claim = async function(scope, date, viewer) {
+  try {
+    await this.create({
+      scope,
+      date,
+      viewer,
+      expiresAt: new Date(date.getTime() + 2 * 24 * 60 * 60 * 1000)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+export default mongoose.model('DailyViewer', dailyViewerSchema);
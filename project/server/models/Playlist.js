@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const playlistSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [150, 'Title must be 150 characters or less']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description must be 2000 characters or less']
+  },
+  // Same levels as videos: public, unlisted (link only) or private (owner only)
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'private'],
+    default: 'public'
+  },
+  // Playback order
+  videos: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+playlistSchema.index({ owner: 1, updatedAt: -1 });
+
+playlistSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified()) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+playlistSchema.methods.isOwnedBy = function(user) {
+  const ownerId = this.owner._id || this.owner;
+  return Boolean(user) && ownerId.toString() === user._id.toString();
+};
+
+// Whether a user (or anonymous viewer) may open this playlist
+playlistSchema.methods.isViewableBy = function(user) {
+  return this.visibility !== 'private' || this.isOwnedBy(user);
+};
+
+export default mongoose.model('Playlist', playlistSchema);
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. The refresh token cookie names the session and carries
+// a secret; only the secret's hash is stored, and it changes on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The secret it replaced, still accepted for a moment so two tabs refreshing
+  // at once aren't mistaken for a stolen token
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Slides forward on every refresh; the session is removed once it passes
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // logout, revoked, password, reuse
+  revokedReason: {
+    type: String,
+    default: null
+  }
+});
+
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Filter for sessions that can still be used
+sessionSchema.statics.activeFilter = function() {
+  return { revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+sessionSchema.statics.revoke = function(filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import fs from 'fs/promises';
+import { normalizeTags, tagsError } from './Video.js';
+
+// Longest a video is expected to take to store; covers large Cloudinary uploads
+export const COMPLETE_TIMEOUT = 60 * 60 * 1000; // 1 hour
+
+// Filter for sessions nobody is currently finishing
+export const notCompleting = () => ({
+  $or: [
+    { completingAt: null },
+    { completingAt: { $lt: new Date(Date.now() - COMPLETE_TIMEOUT) } }
+  ]
+});
+
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Bytes received so far; the next chunk must start here
+  offset: {
+    type: Number,
+    default: 0
+  },
+  tempPath: {
+    type: String,
+    required: true
+  },
+  // Video details applied when the upload is finalized
+  title: String,
+  description: String,
+  tags: {
+    type: [String],
+    set: normalizeTags,
+    validate: {
+      validator: (tags) => !tagsError(tags),
+      message: (props) => tagsError(props.value)
+    }
+  },
+  category: String,
+  visibility: {
+    type: String,
+    default: 'public'
+  },
+  // Set while the upload is being turned into a video, so it is only finished once.
+  // A claim older than COMPLETE_TIMEOUT was left by a crash and can be taken over.
+  completingAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Drop abandoned sessions along with their partial files
+uploadSessionSchema.statics.removeExpired = async function() {
+  const expired = await this.find({ expiresAt: { $lt: new Date() }, ...notCompleting() });
+
+  for (const session of expired) {
+    await fs.rm(session.tempPath, { force: true });
+    await session.deleteOne();
+  }
+
+  return expired.length;
+};
+
+export default mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { verifyCode, hashRecoveryCode } from '../auth/twoFactor.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -17,6 +18,17 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // A new address waiting to be confirmed; the current one stays in use until then
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
   password: {
     type: String,
     required: true,
@@ -26,6 +38,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Storage location of an uploaded avatar, so it can be replaced later
+  avatarKey: {
+    type: String,
+    default: null
+  },
+  avatarStorageDriver: {
+    type: String,
+    enum: ['cloudinary', 'local', null],
+    default: null
+  },
   bio: {
     type: String,
     maxlength: 500,
@@ -35,12 +57,79 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Video'
   }],
+  // Channels this user follows
+  subscriptions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  subscriberCount: {
+    type: Number,
+    default: 0
+  },
+  // TOTP second factor. pendingSecret holds a secret being enrolled until a code confirms it.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null
+    },
+    pendingSecret: {
+      type: String,
+      default: null
+    },
+    // Hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: []
+    },
+    // Time step of the last accepted code, so it can't be used twice
+    lastUsedStep: {
+      type: Number,
+      default: -1
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Accounts at OpenID Connect providers that can sign in as this user
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Latest searches first, for search suggestions
+  recentSearches: [{
+    _id: false,
+    query: String,
+    searchedAt: Date
+  }],
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// One user per provider account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -54,6 +143,61 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+const MAX_RECENT_SEARCHES = 10;
+
+// Move a search to the top of the user's recent searches
+userSchema.statics.recordSearch = async function(userId, query) {
+  await this.updateOne({ _id: userId }, { $pull: { recentSearches: { query } } });
+  await this.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        recentSearches: {
+          $each: [{ query, searchedAt: new Date() }],
+          $position: 0,
+          $slice: MAX_RECENT_SEARCHES
+        }
+      }
+    }
+  );
+};
+
+// Accounts created before email verification keep working without confirming
+userSchema.statics.migrateEmailVerified = function() {
+  return this.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+};
+
+// Check an authenticator code or a recovery code, using it up so it can't be used again.
+// Both updates are conditional so two requests can't spend the same code.
+userSchema.methods.useSecondFactor = async function({ code, recoveryCode }) {
+  if (!this.twoFactor?.enabled) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await this.constructor.updateOne(
+      { _id: this._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyCode(this.twoFactor.secret, code, this.twoFactor.lastUsedStep);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.lastUsedStep': { $lt: step } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
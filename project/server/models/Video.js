@@ -1,21 +1,66 @@
 import mongoose from 'mongoose';
 
+// Categories a creator can file a video under
+export const videoCategories = [
+  'film', 'music', 'gaming', 'education', 'science', 'sports', 'news',
+  'comedy', 'entertainment', 'howto', 'travel', 'people', 'other'
+];
+
+export const LIST_PAGE_SIZE = 12;
+export const MAX_LIST_LIMIT = 120;
+
+// Page size from a query string, within 1..MAX_LIST_LIMIT
+export const parseLimit = (limit, fallback = LIST_PAGE_SIZE) => (
+  Math.min(Math.max(parseInt(limit, 10) || fallback, 1), MAX_LIST_LIMIT)
+);
+
+// 1-based page number from a query string
+export const parsePage = (page) => Math.max(parseInt(page, 10) || 1, 1);
+
+export const MAX_TAGS = 15;
+export const MAX_TAG_LENGTH = 30;
+
+// Tags are stored lowercased and trimmed, without a leading #, each one once
+export const normalizeTags = (tags) => [...new Set(
+  tags
+    .map((tag) => String(tag).trim().replace(/^#+/, '').trim().replace(/\s+/g, ' ').toLowerCase())
+    .filter(Boolean)
+)];
+
+// Message for a tag list over the limits, or null when it's fine
+export const tagsError = (tags) => {
+  if (tags.length > MAX_TAGS) {
+    return `A video can have at most ${MAX_TAGS} tags`;
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return `Tags must be ${MAX_TAG_LENGTH} characters or less`;
+  }
+  return null;
+};
+
 const videoSchema = new mongoose.Schema({
   title: {
     type: String,
-    required: true,
+    required: [true, 'Title is required'],
     trim: true,
-    maxlength: 200
+    maxlength: [200, 'Title must be 200 characters or less']
   },
   description: {
     type: String,
     trim: true,
-    maxlength: 2000
+    maxlength: [2000, 'Description must be 2000 characters or less']
   },
+  // Storage key for uploads (or a derived id for linked videos)
   cloudinaryId: {
     type: String,
     required: true
   },
+  // Storage adapter holding the file; null for linked videos
+  storageDriver: {
+    type: String,
+    enum: ['cloudinary', 'local', null],
+    default: null
+  },
   videoUrl: {
     type: String,
     required: true
@@ -24,10 +69,55 @@ const videoSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Storage location of a custom thumbnail, so it can be replaced later
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  thumbnailStorageDriver: {
+    type: String,
+    enum: ['cloudinary', 'local', null],
+    default: null
+  },
   duration: {
     type: Number,
     default: 0
   },
+  // Container metadata read by the processing step
+  media: {
+    width: Number,
+    height: Number,
+    videoCodec: String,
+    audioCodec: String,
+    container: String,
+    size: Number,
+    bitrate: Number
+  },
+  // Adaptive streaming package written by the processing step
+  hls: {
+    key: String,
+    storageDriver: {
+      type: String,
+      enum: ['cloudinary', 'local', null]
+    },
+    masterUrl: String,
+    renditions: [{
+      _id: false,
+      name: String,
+      width: Number,
+      height: Number,
+      bandwidth: Number
+    }]
+  },
+  processingStatus: {
+    type: String,
+    enum: ['processing', 'ready', 'failed'],
+    default: 'ready'
+  },
+  processingError: {
+    type: String,
+    default: ''
+  },
   views: {
     type: Number,
     default: 0
@@ -41,13 +131,29 @@ const videoSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  tags: [{
+  tags: {
+    type: [String],
+    set: normalizeTags,
+    validate: {
+      validator: (tags) => !tagsError(tags),
+      message: (props) => tagsError(props.value)
+    }
+  },
+  category: {
     type: String,
-    trim: true
-  }],
-  isPrivate: {
-    type: Boolean,
-    default: false
+    enum: { values: videoCategories, message: 'Invalid category' },
+    default: 'other'
+  },
+  // Recent views and likes with time decay; refreshed periodically by recomputeTrending
+  trendingScore: {
+    type: Number,
+    default: 0
+  },
+  // public: listed everywhere; unlisted: link only; private: owner only
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'private'],
+    default: 'public'
   },
   createdAt: {
     type: Date,
@@ -59,10 +165,73 @@ const videoSchema = new mongoose.Schema({
   }
 });
 
-// Update the updatedAt field before saving
+// Full-text search: a title match outweighs a tag match, which outweighs the description
+videoSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  { name: 'video_text', weights: { title: 10, tags: 5, description: 2 } }
+);
+videoSchema.index({ visibility: 1, createdAt: -1 });
+videoSchema.index({ visibility: 1, trendingScore: -1 });
+videoSchema.index({ tags: 1, createdAt: -1 });
+videoSchema.index({ 'hls.key': 1 }, { sparse: true });
+videoSchema.index({ cloudinaryId: 1 });
+
+// Update the updatedAt field when the video's details change (not on likes or views)
 videoSchema.pre('save', function(next) {
-  this.updatedAt = Date.now();
+  if (!this.isNew && this.isModified(['title', 'description', 'tags', 'category', 'thumbnailUrl', 'visibility'])) {
+    this.updatedAt = Date.now();
+  }
   next();
 });
 
+// Whether a user (or anonymous viewer) may watch this video
+videoSchema.methods.isViewableBy = function(user) {
+  if (this.visibility !== 'private') return true;
+
+  const uploaderId = this.uploader._id || this.uploader;
+  return Boolean(user) && uploaderId.toString() === user._id.toString();
+};
+
+// Convert videos saved with the old isPrivate flag to a visibility level
+videoSchema.statics.migrateVisibility = function() {
+  return this.collection.updateMany(
+    { visibility: { $exists: false } },
+    [
+      { $set: { visibility: { $cond: ['$isPrivate', 'private', 'public'] } } },
+      { $unset: 'isPrivate' }
+    ]
+  );
+};
+
+// Bring tags saved before normalization in line: trimmed, lowercased, no leading #, no duplicates,
+// and within the count and length limits. Otherwise every later save of the video fails validation.
+videoSchema.statics.migrateTags = async function() {
+  const fitTags = (tags) => normalizeTags(
+    normalizeTags(tags.map(String)).map((tag) => tag.slice(0, MAX_TAG_LENGTH))
+  ).slice(0, MAX_TAGS);
+
+  const cursor = this.collection.find({ 'tags.0': { $exists: true } }, { projection: { tags: 1 } });
+  let updates = [];
+  let migrated = 0;
+
+  const flush = async () => {
+    if (updates.length) {
+      await this.collection.bulkWrite(updates);
+      migrated += updates.length;
+      updates = [];
+    }
+  };
+
+  for await (const video of cursor) {
+    const tags = fitTags(video.tags);
+    if (JSON.stringify(tags) !== JSON.stringify(video.tags)) {
+      updates.push({ updateOne: { filter: { _id: video._id }, update: { $set: { tags } } } });
+      if (updates.length >= 500) await flush();
+    }
+  }
+  await flush();
+
+  return migrated;
+};
+
 export default mongoose.model('Video', videoSchema);
\ No newline at end of file
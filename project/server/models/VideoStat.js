@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Number of equal slices a video is split into for the retention curve
+export const RETENTION_BUCKETS = 20;
+
+// Daily analytics counters. Each day has one row per video plus one
+// channel-wide row (video: null) so channel uniques aren't double counted.
+const videoStatSchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null
+  },
+  // UTC midnight of the day the counters belong to
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  uniqueViewers: {
+    type: Number,
+    default: 0
+  },
+  // Net likes gained (unlikes subtract)
+  likes: {
+    type: Number,
+    default: 0
+  },
+  // Seconds of playback
+  watchTime: {
+    type: Number,
+    default: 0
+  },
+  // Plays that reached each slice of the video; only kept on video rows
+  retention: {
+    type: [Number],
+    default: undefined
+  }
+});
+
+videoStatSchema.index({ channel: 1, video: 1, date: 1 }, { unique: true });
+videoStatSchema.index({ video: 1, date: 1 });
+
+export default mongoose.model('VideoStat', videoStatSchema);
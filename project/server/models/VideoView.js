@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// How long one viewer's repeat plays are ignored
+export const VIEW_DEDUP_WINDOW = 6 * 60 * 60 * 1000; // 6 hours
+
+// Short-lived marker that a viewer's play was already counted.
+// MongoDB's TTL monitor removes it once the window has passed.
+const videoViewSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // Hashed viewer identity: the user id when signed in, otherwise IP + user agent,
+  // plus a second marker for an anonymous player's session id
+  viewer: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Playback reported against this view, which can't outpace the time since it was counted
+  countedAt: Date,
+  reportedSeconds: {
+    type: Number,
+    default: 0
+  },
+  // Retention slices already reported, so each counts once per view
+  buckets: [Number]
+});
+
+videoViewSchema.index({ video: 1, viewer: 1 }, { unique: true });
+videoViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Claim a view for this viewer; resolves false if one is already counted in the window
+videoViewSchema.statics.claim = async function(videoId, viewer) {
+  const now = new Date();
+
+  try {
+    // Take over a marker the TTL monitor hasn't removed yet, or insert a new one
+    const result = await this.updateOne(
+      { video: videoId, viewer, expiresAt: { $lte: now } },
+      {
+        $set: {
+          expiresAt: new Date(now.getTime() + VIEW_DEDUP_WINDOW),
+          countedAt: now,
+          reportedSeconds: 0,
+          buckets: []
+        }
+      },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0 || result.modifiedCount > 0;
+  } catch (error) {
+    // Duplicate key: an unexpired marker already exists
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Playback can run faster than real time, but not by more than this
+const MAX_PLAYBACK_RATE = 2;
+// Room for the seconds watched before the view was counted, and for reporting delays
+const PLAYBACK_SLACK_SECONDS = 30;
+
+// Add a playback report to this viewer's counted view. Resolves to the retention slices
+// not reported before, or null when there is no counted view or the report would add
+// more watch time than could have passed since the view was counted.
+videoViewSchema.statics.addPlayback = async function(videoId, viewer, watchedSeconds, buckets) {
+  const now = new Date();
+
+  const previous = await this.findOneAndUpdate(
+    {
+      video: videoId,
+      viewer,
+      expiresAt: { $gt: now },
+      $expr: {
+        $lte: [
+          { $add: ['$reportedSeconds', watchedSeconds] },
+          {
+            $add: [
+              { $multiply: [{ $divide: [{ $subtract: [now, '$countedAt'] }, 1000] }, MAX_PLAYBACK_RATE] },
+              PLAYBACK_SLACK_SECONDS
+            ]
+          }
+        ]
+      }
+    },
+    {
+      $inc: { reportedSeconds: watchedSeconds },
+      $addToSet: { buckets: { $each: buckets } }
+    }
+  );
+
+  if (!previous) return null;
+  return buckets.filter((bucket) => !previous.buckets.includes(bucket));
+};
+
+export default mongoose.model('VideoView', videoViewSchema);
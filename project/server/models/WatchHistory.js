@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// One entry per user and video, updated as they keep watching
+const watchHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // Last playback position in seconds
+  position: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Duration reported by the player, used for progress bars
+  duration: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  watchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, watchedAt: -1 });
+
+export default mongoose.model('WatchHistory', watchHistorySchema);
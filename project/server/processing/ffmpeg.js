@@ -0,0 +1,122 @@
+import { spawn } from 'child_process';
+import path from 'path';
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Run a command and collect its output, rejecting on a non-zero exit
+const run = (command, args) => new Promise((resolve, reject) => {
+  const child = spawn(command, args);
+  let stdout = '';
+  let stderr = '';
+
+  child.stdout.on('data', (chunk) => { stdout += chunk; });
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+  child.on('error', (error) => {
+    if (error.code === 'ENOENT') {
+      reject(new Error(`${command} is not installed or not on PATH`));
+    } else {
+      reject(error);
+    }
+  });
+
+  child.on('close', (code) => {
+    if (code === 0) {
+      resolve(stdout);
+    } else {
+      reject(new Error(`${command} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+    }
+  });
+});
+
+// Protocols ffmpeg may use to open a source: local paths are read as plain files,
+// anything else only over http(s), so a source can't pull in file://, concat: and the like
+const allowedProtocols = (source) => (path.isAbsolute(source) ? 'file' : 'http,https,tcp,tls');
+
+// Demuxers for the video containers we accept. Leaves out hls, concat and the other
+// formats that open further inputs named inside the file.
+const ALLOWED_FORMATS = 'mov,mp4,matroska,webm,avi,asf,flv,mpegts,mpeg';
+
+const whitelistArgs = (source) => [
+  '-protocol_whitelist', allowedProtocols(source),
+  '-format_whitelist', ALLOWED_FORMATS
+];
+
+const inputArgs = (source) => [...whitelistArgs(source), '-i', source];
+
+// Read container and stream metadata from a file path or URL
+export const probe = async (source) => {
+  const output = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    ...whitelistArgs(source),
+    source
+  ]);
+
+  const data = JSON.parse(output);
+  const videoStream = data.streams?.find(stream => stream.codec_type === 'video');
+  const audioStream = data.streams?.find(stream => stream.codec_type === 'audio');
+
+  if (!videoStream) {
+    throw new Error('No video stream found');
+  }
+
+  return {
+    duration: parseFloat(data.format?.duration || videoStream.duration) || 0,
+    width: videoStream.width || 0,
+    height: videoStream.height || 0,
+    videoCodec: videoStream.codec_name || '',
+    audioCodec: audioStream?.codec_name || '',
+    container: data.format?.format_name || '',
+    size: parseInt(data.format?.size, 10) || 0,
+    bitrate: parseInt(data.format?.bit_rate, 10) || 0
+  };
+};
+
+// Grab a single frame at the given time and write it as a JPEG
+export const extractFrame = async (source, outputPath, atSeconds = 0) => {
+  await run(FFMPEG_PATH, [
+    '-v', 'error',
+    '-y',
+    '-ss', String(atSeconds),
+    ...inputArgs(source),
+    '-frames:v', '1',
+    '-vf', "scale='min(1280,iw)':-2",
+    '-q:v', '3',
+    outputPath
+  ]);
+  return outputPath;
+};
+
+// Encode one HLS rendition into its own directory as index.m3u8 plus segments
+export const transcodeRendition = async (source, outputDir, rendition) => {
+  const { height, videoBitrate, audioBitrate } = rendition;
+
+  await run(FFMPEG_PATH, [
+    '-v', 'error',
+    '-y',
+    ...inputArgs(source),
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    '-vf', `scale=-2:${height}`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'main',
+    '-b:v', `${videoBitrate}k`,
+    '-maxrate', `${Math.round(videoBitrate * 1.07)}k`,
+    '-bufsize', `${Math.round(videoBitrate * 1.5)}k`,
+    // Keyframes on a fixed clock so every rendition's segments line up
+    '-force_key_frames', 'expr:gte(t,n_forced*2)',
+    '-c:a', 'aac',
+    '-b:a', `${audioBitrate}k`,
+    '-ac', '2',
+    '-f', 'hls',
+    '-hls_time', '6',
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', `${outputDir}/segment_%03d.ts`,
+    `${outputDir}/index.m3u8`
+  ]);
+};
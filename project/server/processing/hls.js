@@ -0,0 +1,73 @@
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { transcodeRendition } from './ffmpeg.js';
+
+// Bitrate ladder, highest first. Bitrates are in kbps.
+const LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+// Renditions worth producing for a source, never upscaling past it
+export const ladderFor = (sourceHeight) => {
+  const renditions = LADDER.filter(rendition => rendition.height <= sourceHeight);
+  if (renditions.length > 0) return renditions;
+
+  // Tiny sources get a single rendition at their own size (kept even for x264)
+  const height = Math.max(2, Math.floor(sourceHeight / 2) * 2);
+  return [{ ...LADDER[LADDER.length - 1], name: `${height}p`, height }];
+};
+
+const masterPlaylist = (renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  renditions.forEach(rendition => {
+    const bandwidth = (rendition.videoBitrate + rendition.audioBitrate) * 1000;
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+      `${rendition.name}/index.m3u8`
+    );
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Transcode a source into an HLS ladder in a temp directory.
+// Returns the directory (containing master.m3u8) and the renditions written.
+export const packageHls = async (source, { width, height }) => {
+  const outputDir = path.join(os.tmpdir(), `hls-${crypto.randomBytes(8).toString('hex')}`);
+  const aspectRatio = width && height ? width / height : 16 / 9;
+
+  // Assume HD when the probe couldn't tell us the height
+  const renditions = ladderFor(height || 720).map(rendition => ({
+    ...rendition,
+    width: Math.round((rendition.height * aspectRatio) / 2) * 2
+  }));
+
+  try {
+    for (const rendition of renditions) {
+      const renditionDir = path.join(outputDir, rendition.name);
+      await fs.mkdir(renditionDir, { recursive: true });
+      await transcodeRendition(source, renditionDir, rendition);
+    }
+
+    await fs.writeFile(path.join(outputDir, 'master.m3u8'), masterPlaylist(renditions));
+  } catch (error) {
+    await fs.rm(outputDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    dir: outputDir,
+    renditions: renditions.map(({ name, width: renditionWidth, height: renditionHeight, videoBitrate, audioBitrate }) => ({
+      name,
+      width: renditionWidth,
+      height: renditionHeight,
+      bandwidth: (videoBitrate + audioBitrate) * 1000
+    }))
+  };
+};
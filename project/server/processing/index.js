@@ -0,0 +1,135 @@
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import Video from '../models/Video.js';
+import getStorage from '../storage/index.js';
+import { probe, extractFrame } from './ffmpeg.js';
+import { packageHls } from './hls.js';
+import { downloadRemoteSource } from './remoteSource.js';
+
+// Videos are processed one at a time so ffmpeg doesn't starve the API
+const queue = [];
+let running = false;
+
+// Where ffmpeg can read a stored video from
+const sourceFor = (video) => getStorage(video.storageDriver).source(video.cloudinaryId);
+
+// Pick a frame a little way in, since the first one is often black
+const thumbnailTime = (duration) => Math.min(duration / 10, 5);
+
+export const processVideo = async (videoId) => {
+  const video = await Video.findById(videoId);
+  if (!video) return;
+
+  const framePath = path.join(os.tmpdir(), `thumb-${crypto.randomBytes(8).toString('hex')}.jpg`);
+  // Linked videos are fetched by us rather than ffmpeg, which would follow redirects and playlists
+  const downloadPath = video.storageDriver
+    ? null
+    : path.join(os.tmpdir(), `link-${crypto.randomBytes(8).toString('hex')}`);
+  const updates = {};
+
+  try {
+    let source;
+    if (downloadPath) {
+      await downloadRemoteSource(video.videoUrl, downloadPath);
+      source = downloadPath;
+    } else {
+      source = sourceFor(video);
+    }
+
+    const metadata = await probe(source);
+
+    updates.duration = metadata.duration;
+    updates.media = {
+      width: metadata.width,
+      height: metadata.height,
+      videoCodec: metadata.videoCodec,
+      audioCodec: metadata.audioCodec,
+      container: metadata.container,
+      size: metadata.size,
+      bitrate: metadata.bitrate
+    };
+
+    // Keep a thumbnail the owner uploaded themselves
+    if (!video.thumbnailKey) {
+      await extractFrame(source, framePath, thumbnailTime(metadata.duration));
+
+      const storage = getStorage();
+      const stored = await storage.store(framePath, { kind: 'image', originalName: 'thumbnail.jpg' });
+
+      // Only apply it if the owner hasn't set one in the meantime
+      const result = await Video.updateOne(
+        { _id: video._id, thumbnailKey: null },
+        {
+          $set: {
+            thumbnailUrl: stored.url,
+            thumbnailKey: stored.key,
+            thumbnailStorageDriver: storage.name
+          }
+        }
+      );
+
+      if (!result.modifiedCount) {
+        await storage.delete(stored.key, { kind: 'image' });
+      }
+    }
+
+    // Adaptive streaming is only produced for files we host ourselves
+    if (video.storageDriver) {
+      const packaged = await packageHls(source, metadata);
+      const storage = getStorage();
+      // A random key like uploads get, so the package can't be found from the video id
+      const stored = await storage.storeDirectory(packaged.dir, `hls/${crypto.randomBytes(16).toString('hex')}`);
+
+      updates.hls = {
+        key: stored.key,
+        storageDriver: storage.name,
+        masterUrl: `${stored.url}/master.m3u8`,
+        renditions: packaged.renditions
+      };
+    }
+
+    updates.processingStatus = 'ready';
+    updates.processingError = '';
+  } catch (error) {
+    console.error(`Video processing error (${videoId}):`, error.message);
+    updates.processingStatus = 'failed';
+    updates.processingError = error.message;
+  } finally {
+    await fs.rm(framePath, { force: true });
+    if (downloadPath) {
+      await fs.rm(downloadPath, { force: true });
+    }
+  }
+
+  await Video.updateOne({ _id: video._id }, { $set: updates });
+};
+
+const drain = async () => {
+  if (running) return;
+  running = true;
+
+  while (queue.length > 0) {
+    const videoId = queue.shift();
+    try {
+      await processVideo(videoId);
+    } catch (error) {
+      console.error(`Video processing error (${videoId}):`, error);
+    }
+  }
+
+  running = false;
+};
+
+// Queue a video for background processing
+export const enqueueProcessing = (videoId) => {
+  queue.push(videoId.toString());
+  drain();
+};
+
+// Pick up videos left mid-processing by a restart
+export const resumeProcessing = async () => {
+  const pending = await Video.find({ processingStatus: 'processing' }).select('_id');
+  pending.forEach(video => enqueueProcessing(video._id));
+};
@@ -0,0 +1,139 @@
+import dns from 'dns/promises';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { MAX_VIDEO_SIZE } from '../middleware/upload.js';
+
+const DOWNLOAD_TIMEOUT = 30 * 1000; // without data
+
+// Addresses a linked video must not resolve to: this machine, private networks,
+// link-local (including cloud metadata services), and other non-public ranges
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+export const isPublicAddress = (address) => {
+  // IPv4 written as IPv6 (::ffff:10.0.0.1 or ::ffff:a00:1) is checked as the IPv4 address it is
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+  const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map((part) => parseInt(part, 16));
+    return isPublicAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return !blockedRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Check that a linked video URL is http(s) and every address its host resolves to is public.
+// Resolves to the parsed URL and one of the checked addresses. Throws an Error with a
+// message fit to show the user otherwise.
+const resolvePublicUrl = async (videoUrl) => {
+  let url;
+  try {
+    url = new URL(videoUrl);
+  } catch {
+    throw new Error('Invalid video URL format');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Video URL must start with http:// or https://');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    throw new Error('Video URL host could not be found');
+  }
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error('Video URL must point to a public address');
+  }
+
+  return { url, address: addresses[0] };
+};
+
+// Reject a link up front, before a video is created for it
+export const assertPublicUrl = async (videoUrl) => {
+  await resolvePublicUrl(videoUrl);
+};
+
+// Download a linked video to a local file. The connection goes to the address that was
+// checked, so a second DNS answer can't point it elsewhere, and redirects are refused
+// since their target was never checked.
+export const downloadRemoteSource = async (videoUrl, destination) => {
+  const { url, address } = await resolvePublicUrl(videoUrl);
+  const client = url.protocol === 'https:' ? https : http;
+
+  // Hand back the checked address whatever the socket asks for
+  const lookup = (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, [address]);
+    } else {
+      callback(null, address.address, address.family);
+    }
+  };
+
+  const response = await new Promise((resolve, reject) => {
+    const request = client.get(url, { lookup, timeout: DOWNLOAD_TIMEOUT }, resolve);
+    request.on('timeout', () => request.destroy(new Error('Video URL timed out')));
+    request.on('error', reject);
+  });
+
+  if (response.statusCode >= 300 && response.statusCode < 400) {
+    response.resume();
+    throw new Error('Video URL redirects elsewhere; link the final address instead');
+  }
+
+  if (response.statusCode !== 200) {
+    response.resume();
+    throw new Error(`Video URL returned HTTP ${response.statusCode}`);
+  }
+
+  if (Number(response.headers['content-length']) > MAX_VIDEO_SIZE) {
+    response.destroy();
+    throw new Error('Linked video is larger than 5GB');
+  }
+
+  // Content-Length can be missing or wrong, so count what actually arrives
+  let received = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > MAX_VIDEO_SIZE ? new Error('Linked video is larger than 5GB') : null, chunk);
+    }
+  });
+
+  await pipeline(response, limit, createWriteStream(destination));
+};
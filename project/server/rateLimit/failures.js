@@ -0,0 +1,47 @@
+import getStore from './index.js';
+
+const MINUTE = 60 * 1000;
+
+// How failed attempts count against a key. After delayAfter failures in the window each
+// response is held back longer, and at lockAfter the key is locked out for lockMs.
+export const failurePolicies = {
+  account: { windowMs: 15 * MINUTE, delayAfter: 3, lockAfter: 5, lockMs: 15 * MINUTE },
+  ip: { windowMs: 15 * MINUTE, delayAfter: 10, lockAfter: 30, lockMs: 30 * MINUTE }
+};
+
+const MAX_DELAY = 8 * 1000;
+
+export const secondsUntil = (time) => Math.max(Math.ceil((time - Date.now()) / 1000), 1);
+
+// Seconds until none of the attempts' keys is locked out; 0 when none is
+export const lockedFor = async (attempts) => {
+  const locks = await Promise.all(attempts.map(({ key }) => getStore().get(`lock:${key}`)));
+
+  return locks.reduce((longest, lock) => (
+    lock ? Math.max(longest, secondsUntil(lock.expiresAt)) : longest
+  ), 0);
+};
+
+// Count a failure against each { key, policy }. Returns how long to hold the response
+// back, and how many seconds the lockout lasts if this failure started one.
+export const recordFailure = async (attempts) => {
+  const store = getStore();
+  let delayMs = 0;
+  let retryAfter = 0;
+
+  for (const { key, policy } of attempts) {
+    const { count } = await store.increment(`fail:${key}`, policy.windowMs);
+
+    if (count >= policy.lockAfter) {
+      await store.set(`lock:${key}`, 1, policy.lockMs);
+      await store.delete(`fail:${key}`);
+      retryAfter = Math.max(retryAfter, Math.ceil(policy.lockMs / 1000));
+    } else if (count >= policy.delayAfter) {
+      delayMs = Math.max(delayMs, Math.min(1000 * 2 ** (count - policy.delayAfter), MAX_DELAY));
+    }
+  }
+
+  return { delayMs, retryAfter };
+};
+
+export const clearFailures = (key) => getStore().delete(`fail:${key}`);
@@ -0,0 +1,38 @@
+import createMemoryStore from './memoryStore.js';
+import createRedisStore from './redisStore.js';
+
+const factories = {
+  memory: createMemoryStore,
+  redis: createRedisStore
+};
+
+const instances = {};
+
+// Name of the configured store. In-process memory unless a Redis server is configured,
+// which lets several server instances share the same counters.
+export const defaultStore = () => {
+  if (process.env.RATE_LIMIT_STORE) {
+    return process.env.RATE_LIMIT_STORE;
+  }
+  return process.env.REDIS_URL ? 'redis' : 'memory';
+};
+
+// Get a counter store by name, or the configured one when no name is given.
+// Stores keep expiring counters:
+//   increment(key, ttlMs) -> { count, expiresAt }, starting the expiry on the first hit
+//   get(key)              -> { count, expiresAt } or null
+//   set(key, count, ttlMs)
+//   delete(key)
+const getStore = (name = defaultStore()) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factory();
+  }
+  return instances[name];
+};
+
+export default getStore;
@@ -0,0 +1,49 @@
+// Counters in this process. Fine for a single server; they reset on restart.
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired counters now and then so idle keys don't pile up
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, 60 * 1000).unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, ttlMs) {
+      const entry = live(key) || { count: 0, expiresAt: Date.now() + ttlMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async set(key, count, ttlMs) {
+      entries.set(key, { count, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+export default createMemoryStore;
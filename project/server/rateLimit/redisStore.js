@@ -0,0 +1,55 @@
+import Redis from 'ioredis';
+
+// Counters in Redis (or anything that speaks its protocol), shared by every server instance
+const createRedisStore = () => {
+  const client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+    keyPrefix: 'ratelimit:',
+    // Fail requests quickly rather than queueing them while Redis is unreachable
+    maxRetriesPerRequest: 2
+  });
+
+  client.on('error', (error) => console.error('Rate limit store error:', error.message));
+
+  // Results of a MULTI, throwing if any command failed
+  const run = async (transaction) => {
+    const results = await transaction.exec();
+    for (const [error] of results) {
+      if (error) throw error;
+    }
+    return results.map(([, result]) => result);
+  };
+
+  const toEntry = (count, ttl) => ({
+    count: Number(count),
+    expiresAt: Date.now() + Math.max(ttl, 0)
+  });
+
+  return {
+    name: 'redis',
+
+    async increment(key, ttlMs) {
+      // SET NX starts the window on the first hit without resetting it later
+      const [, count, ttl] = await run(client.multi()
+        .set(key, 0, 'PX', ttlMs, 'NX')
+        .incr(key)
+        .pttl(key));
+
+      return toEntry(count, ttl);
+    },
+
+    async get(key) {
+      const [count, ttl] = await run(client.multi().get(key).pttl(key));
+      return count === null ? null : toEntry(count, ttl);
+    },
+
+    async set(key, count, ttlMs) {
+      await client.set(key, count, 'PX', ttlMs);
+    },
+
+    async delete(key) {
+      await client.del(key);
+    }
+  };
+};
+
+export default createRedisStore;
@@ -0,0 +1,139 @@
+import Video from '../models/Video.js';
+import VideoStat from '../models/VideoStat.js';
+
+// How many candidates are scored for one request
+const CANDIDATE_LIMIT = 200;
+
+// Relative weight of each signal when ranking related videos
+const weights = {
+  sharedTag: 3,
+  sameUploader: 2,
+  titleSimilarity: 4,
+  popularity: 1
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const HOUR = 60 * 60 * 1000;
+
+// Trending: activity loses half its weight every day and is ignored after a week
+const TRENDING_HALF_LIFE = 24 * HOUR;
+const TRENDING_WINDOW = 7 * 24 * HOUR;
+const TRENDING_LIKE_WEIGHT = 5;
+
+// Words too common to say anything about how two titles relate
+const stopWords = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it',
+  'my', 'of', 'on', 'or', 'the', 'this', 'to', 'vs', 'what', 'with', 'you', 'your'
+]);
+
+const titleWords = (title = '') => new Set(
+  title.toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 1 && !stopWords.has(word))
+);
+
+// Share of distinct words the two titles have in common (0–1)
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let common = 0;
+  for (const word of a) {
+    if (b.has(word)) common++;
+  }
+  return common / (a.size + b.size - common);
+};
+
+// Views and likes on a log scale, so a viral video doesn't drown out relevance
+const popularity = (video) => Math.log10(1 + video.views + 5 * (video.likes?.length || 0));
+
+// Public videos related to the given one, best match first
+export const findRelated = async (video, { limit = 12 } = {}) => {
+  const tags = video.tags || [];
+  const words = titleWords(video.title);
+  const uploaderId = (video.uploader._id || video.uploader).toString();
+
+  const base = { _id: { $ne: video._id }, visibility: 'public', processingStatus: { $ne: 'failed' } };
+
+  const signals = [{ uploader: video.uploader._id || video.uploader }];
+  if (tags.length) {
+    signals.push({ tags: { $in: tags } });
+  }
+  if (words.size) {
+    signals.push({ title: new RegExp([...words].map(escapeRegex).join('|'), 'i') });
+  }
+
+  const [matches, popular] = await Promise.all([
+    Video.find({ ...base, $or: signals })
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .populate('uploader', 'username avatar'),
+    // Popular videos fill the list when little else matches
+    Video.find(base)
+      .sort({ views: -1 })
+      .limit(limit)
+      .populate('uploader', 'username avatar')
+  ]);
+
+  const candidates = new Map();
+  for (const candidate of [...matches, ...popular]) {
+    candidates.set(candidate._id.toString(), candidate);
+  }
+
+  const scored = [...candidates.values()].map((candidate) => {
+    const candidateTags = new Set(candidate.tags || []);
+    const sharedTags = tags.filter((tag) => candidateTags.has(tag)).length;
+    const sameUploader = candidate.uploader?._id?.toString() === uploaderId;
+
+    const score = weights.sharedTag * sharedTags +
+      weights.sameUploader * (sameUploader ? 1 : 0) +
+      weights.titleSimilarity * similarity(words, titleWords(candidate.title)) +
+      weights.popularity * popularity(candidate);
+
+    return { candidate, score };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || b.candidate.createdAt - a.candidate.createdAt)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+};
+
+// Store a fresh trendingScore on every video from the daily stats of the last week.
+// Stats are per day, so each day's activity is aged from its midpoint.
+export const recomputeTrending = async () => {
+  const now = new Date();
+
+  const scores = await VideoStat.aggregate([
+    { $match: { video: { $ne: null }, date: { $gte: new Date(now.getTime() - TRENDING_WINDOW) } } },
+    {
+      $project: {
+        video: 1,
+        activity: { $add: ['$views', { $multiply: [TRENDING_LIKE_WEIGHT, '$likes'] }] },
+        age: { $max: [0, { $subtract: [now, { $add: ['$date', 12 * HOUR] }] }] }
+      }
+    },
+    {
+      $group: {
+        _id: '$video',
+        score: { $sum: { $multiply: ['$activity', { $pow: [0.5, { $divide: ['$age', TRENDING_HALF_LIFE] }] }] } }
+      }
+    }
+  ]);
+
+  if (scores.length) {
+    await Video.bulkWrite(scores.map(({ _id, score }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $set: { trendingScore: Math.max(0, score) } }
+      }
+    })));
+  }
+
+  // Videos with no recent activity drop out of trending
+  await Video.updateMany(
+    { _id: { $nin: scores.map(({ _id }) => _id) }, trendingScore: { $ne: 0 } },
+    { $set: { trendingScore: 0 } }
+  );
+
+  return scores.length;
+};
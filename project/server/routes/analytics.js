@@ -0,0 +1,225 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import VideoStat, { RETENTION_BUCKETS } from '../models/VideoStat.js';
+import VideoView from '../models/VideoView.js';
+import auth, { optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { isBot, viewerKey, startOfDay, recordPlayback } from '../analytics/index.js';
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 28;
+const MAX_RANGE_DAYS = 366;
+
+// Most playback seconds accepted in one report; the player reports far more often
+const MAX_PLAYBACK_REPORT_SECONDS = 120;
+
+const metrics = ['views', 'uniqueViewers', 'likes', 'watchTime'];
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive); defaults to the last 28 days
+const parseRange = (query) => {
+  const parseDay = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+
+  const to = query.to ? parseDay(query.to) : startOfDay();
+  const from = query.from ? parseDay(query.from) : to && new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY);
+
+  if (!from || !to) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+
+  if (from > to) {
+    return { error: 'Start date must be before end date' };
+  }
+
+  if ((to - from) / DAY + 1 > MAX_RANGE_DAYS) {
+    return { error: `Date range can be at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from, to };
+};
+
+// One entry per day in the range, with zeros for days without activity
+const buildSeries = (rows, from, to) => {
+  const byDay = new Map(rows.map((row) => [formatDay(row.date), row]));
+  const series = [];
+
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY) {
+    const day = formatDay(new Date(time));
+    const row = byDay.get(day);
+    const point = { date: day };
+    for (const metric of metrics) {
+      point[metric] = row?.[metric] || 0;
+    }
+    series.push(point);
+  }
+
+  return series;
+};
+
+// Range totals. uniqueViewers is a sum of daily uniques: viewer markers only
+// live for a couple of days, so uniques across the whole range aren't known.
+const summarize = (series) => {
+  const totals = {};
+  for (const metric of metrics) {
+    totals[metric] = series.reduce((sum, point) => sum + point[metric], 0);
+  }
+  totals.averageViewDuration = totals.views ? totals.watchTime / totals.views : 0;
+  return totals;
+};
+
+// Channel-wide daily stats for the signed-in creator
+router.get('/channel', auth, async (req, res) => {
+  try {
+    const { from, to, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const range = { $gte: from, $lte: to };
+
+    const rows = await VideoStat.find({ channel: req.user._id, video: null, date: range })
+      .sort({ date: 1 })
+      .lean();
+
+    const series = buildSeries(rows, from, to);
+
+    // Best performing videos in the same range
+    const topVideos = await VideoStat.aggregate([
+      { $match: { channel: req.user._id, video: { $ne: null }, date: range } },
+      {
+        $group: {
+          _id: '$video',
+          views: { $sum: '$views' },
+          likes: { $sum: '$likes' },
+          watchTime: { $sum: '$watchTime' }
+        }
+      },
+      { $sort: { views: -1, watchTime: -1 } },
+      { $limit: 10 }
+    ]);
+
+    await Video.populate(topVideos, { path: '_id', select: 'title thumbnailUrl duration visibility' });
+
+    res.json({
+      from: formatDay(from),
+      to: formatDay(to),
+      series,
+      totals: summarize(series),
+      topVideos: topVideos
+        .filter((entry) => entry._id)
+        .map(({ _id: video, ...stats }) => ({ video, ...stats }))
+    });
+  } catch (error) {
+    console.error('Get channel analytics error:', error);
+    res.status(500).json({ message: 'Error fetching analytics' });
+  }
+});
+
+// Daily stats and retention for one of the creator's videos
+router.get('/videos/:id', auth, async (req, res) => {
+  try {
+    const { from, to, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const video = mongoose.isValidObjectId(req.params.id) &&
+      await Video.findById(req.params.id).select('title thumbnailUrl duration visibility uploader createdAt');
+
+    if (!video) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    if (video.uploader.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view these analytics' });
+    }
+
+    const rows = await VideoStat.find({ video: video._id, date: { $gte: from, $lte: to } })
+      .sort({ date: 1 })
+      .lean();
+
+    const series = buildSeries(rows, from, to);
+
+    // Share of plays that reached each slice, relative to plays that started
+    const reached = new Array(RETENTION_BUCKETS).fill(0);
+    for (const row of rows) {
+      (row.retention || []).forEach((count, index) => {
+        reached[index] += count;
+      });
+    }
+    const started = reached[0];
+    const retention = reached.map((count, index) => ({
+      position: index / RETENTION_BUCKETS,
+      percent: started ? Math.min(100, (count / started) * 100) : 0
+    }));
+
+    res.json({
+      video,
+      from: formatDay(from),
+      to: formatDay(to),
+      series,
+      totals: summarize(series),
+      retention
+    });
+  } catch (error) {
+    console.error('Get video analytics error:', error);
+    res.status(500).json({ message: 'Error fetching analytics' });
+  }
+});
+
+// The player reports every 15 seconds of playback, and on each pause
+const playbackLimit = rateLimit({
+  name: 'playback',
+  max: 60,
+  windowMs: 60 * 1000,
+  message: 'Too many playback reports.'
+});
+
+// Playback report from the player: seconds watched and slices reached since the last report.
+// Only counts for a viewer whose view was counted, within the time since then.
+router.post('/videos/:id/playback', playbackLimit, optionalAuth, async (req, res) => {
+  try {
+    if (isBot(req)) {
+      return res.json({ recorded: false });
+    }
+
+    const watchedSeconds = Number(req.body.watchedSeconds) || 0;
+    const buckets = Array.isArray(req.body.buckets) ? req.body.buckets : [];
+
+    if (watchedSeconds < 0 || watchedSeconds > MAX_PLAYBACK_REPORT_SECONDS) {
+      return res.status(400).json({ message: 'Invalid watch time' });
+    }
+
+    const validBuckets = [...new Set(buckets.map(Number))]
+      .filter((bucket) => Number.isInteger(bucket) && bucket >= 0 && bucket < RETENTION_BUCKETS);
+
+    const video = mongoose.isValidObjectId(req.params.id) &&
+      await Video.findById(req.params.id).select('uploader visibility');
+
+    if (!video || !video.isViewableBy(req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const newBuckets = await VideoView.addPlayback(video._id, viewerKey(req), watchedSeconds, validBuckets);
+    if (!newBuckets) {
+      return res.json({ recorded: false });
+    }
+
+    await recordPlayback(video, { watchedSeconds, buckets: newBuckets });
+
+    res.json({ recorded: true });
+  } catch (error) {
+    console.error('Record playback error:', error);
+    res.status(500).json({ message: 'Error recording playback' });
+  }
+});
+
+export default router;
@@ -1,12 +1,78 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import AuthToken from '../models/AuthToken.js';
 import auth from '../middleware/auth.js';
+import { imageUpload, removeTempUpload } from '../middleware/upload.js';
+import { rateLimit, rejectIfLocked, failedAttempt, succeededAttempt } from '../middleware/rateLimit.js';
+import { failurePolicies } from '../rateLimit/failures.js';
+import getStorage from '../storage/index.js';
+import { sendTokenEmail } from '../auth/emailTokens.js';
+import {
+  generateSecret,
+  verifyCode,
+  enrollmentDetails,
+  generateRecoveryCodes,
+  signChallenge,
+  verifyChallenge
+} from '../auth/twoFactor.js';
+import { startSession, rotateSession, clearRefreshCookie, sessionIdFromCookie } from '../auth/sessions.js';
 
 const router = express.Router();
 
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Shape of the user object returned to the client
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  pendingEmail: user.pendingEmail,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  avatar: user.avatar,
+  bio: user.bio,
+  createdAt: user.createdAt
+});
+
+// Ceilings on requests from one IP address, on top of the failure tracking below
+const registerLimit = rateLimit({
+  name: 'register',
+  max: 10,
+  windowMs: 60 * 60 * 1000,
+  message: 'Too many accounts created from this network.'
+});
+
+const loginLimit = rateLimit({
+  name: 'login',
+  max: 100,
+  windowMs: 15 * 60 * 1000,
+  message: 'Too many sign-in attempts from this network.'
+});
+
+// Each of these sends an email, so they're capped tighter
+const emailLimit = rateLimit({
+  name: 'email',
+  max: 5,
+  windowMs: 15 * 60 * 1000,
+  message: 'Too many emails requested from this network.'
+});
+
+// Failed sign-ins count against the account being tried and the address trying it.
+// The account key is the submitted email, whether or not such an account exists.
+const loginAttempts = (req, email) => [
+  { key: `login:${String(email || '').trim().toLowerCase()}`, policy: failurePolicies.account },
+  { key: `login-ip:${req.ip}`, policy: failurePolicies.ip }
+];
+
+const twoFactorAttempts = (req, userId) => [
+  { key: `2fa:${userId}`, policy: failurePolicies.account },
+  { key: `login-ip:${req.ip}`, policy: failurePolicies.ip }
+];
+
 // Register user
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimit, async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
@@ -21,26 +87,15 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Create new user
+    // Create new user; they can sign in once the address is confirmed
     const user = new User({ username, email, password });
     await user.save();
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id }, 
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '30d' }
-    );
+    await sendTokenEmail(user, 'verify-email');
 
     res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        bio: user.bio
-      }
+      message: 'Account created. Check your email for a link to confirm your address.',
+      email: user.email
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -49,38 +104,49 @@ router.post('/register', async (req, res) => {
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
+    const attempts = loginAttempts(req, email);
+
+    if (await rejectIfLocked(res, attempts)) {
+      return;
+    }
 
     // Find user by email
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
 
     // Check password
-    const isMatch = await user.comparePassword(password);
+    const isMatch = user && await user.comparePassword(password);
     if (!isMatch) {
+      if (await failedAttempt(res, attempts)) {
+        return;
+      }
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id }, 
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '30d' }
-    );
+    await succeededAttempt(attempts);
+
+    if (!user.emailVerified) {
+      return res.status(403).json({
+        message: 'Please confirm your email address before signing in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // The password is right, but the session waits for the second factor
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challenge: signChallenge(user)
+      });
+    }
+
+    const token = await startSession(req, res, user);
 
     res.json({
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        bio: user.bio
-      }
+      user: formatUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -88,17 +154,271 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Second login step: an authenticator code or a recovery code for the challenge from /login
+router.post('/login/2fa', loginLimit, async (req, res) => {
+  try {
+    const { challenge, code, recoveryCode } = req.body;
+
+    const userId = verifyChallenge(challenge);
+    if (!userId) {
+      return res.status(401).json({ message: 'Sign-in took too long, please start again' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Sign-in took too long, please start again' });
+    }
+
+    const attempts = twoFactorAttempts(req, user._id);
+    if (await rejectIfLocked(res, attempts)) {
+      return;
+    }
+
+    if (!await user.useSecondFactor({ code, recoveryCode })) {
+      if (await failedAttempt(res, attempts)) {
+        return;
+      }
+      return res.status(400).json({
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code'
+      });
+    }
+
+    await succeededAttempt(attempts);
+
+    const token = await startSession(req, res, user);
+
+    res.json({
+      token,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// Confirm an email address from the emailed link
+router.post('/verify-email', async (req, res) => {
+  try {
+    const authToken = req.body.token && await AuthToken.consume(req.body.token, 'verify-email');
+    if (!authToken) {
+      return res.status(400).json({ message: 'This link is invalid or has expired' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user || ![user.email, user.pendingEmail].includes(authToken.email)) {
+      return res.status(400).json({ message: 'This link is invalid or has expired' });
+    }
+
+    // Confirming a new address switches the account over to it
+    if (authToken.email !== user.email) {
+      const existingUser = await User.exists({ _id: { $ne: user._id }, email: authToken.email });
+      if (existingUser) {
+        return res.status(400).json({ message: 'User with this email or username already exists' });
+      }
+      user.email = authToken.email;
+      user.pendingEmail = null;
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.json({ message: 'Email address confirmed', user: formatUser(user) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'User with this email or username already exists' });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error while confirming email' });
+  }
+});
+
+// Send another confirmation link to an unconfirmed or pending address
+router.post('/verify-email/resend', emailLimit, async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!emailPattern.test(email)) {
+      return res.status(400).json({ message: 'Please enter a valid email address' });
+    }
+
+    const user = await User.findOne({
+      $or: [{ email, emailVerified: false }, { pendingEmail: email }]
+    });
+
+    if (user) {
+      await sendTokenEmail(user, 'verify-email', email);
+    }
+
+    res.json({ message: 'If that address is waiting to be confirmed, a new link is on its way' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending confirmation email' });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the account exists.
+router.post('/forgot-password', emailLimit, async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!emailPattern.test(email)) {
+      return res.status(400).json({ message: 'Please enter a valid email address' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      await sendTokenEmail(user, 'reset-password');
+    }
+
+    res.json({ message: 'If an account uses that address, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// Set a new password with an emailed reset link
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!newPassword || newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const authToken = token && await AuthToken.consume(token, 'reset-password');
+    if (!authToken) {
+      return res.status(400).json({ message: 'This link is invalid or has expired' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user || user.email !== authToken.email) {
+      return res.status(400).json({ message: 'This link is invalid or has expired' });
+    }
+
+    user.password = newPassword;
+    // Following the link proves the inbox is theirs
+    user.emailVerified = true;
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await Session.revoke({ user: user._id }, 'password');
+
+    res.json({ message: 'Password reset. You can now sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error while resetting password' });
+  }
+});
+
+// Exchange the refresh cookie for a new access token, rotating the cookie
+router.post('/refresh', async (req, res) => {
+  try {
+    const { session, accessToken, error } = await rotateSession(req, res);
+
+    if (error === 'superseded') {
+      return res.status(409).json({ message: 'Session was just refreshed, try again' });
+    }
+
+    if (error) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        message: error === 'reused' ? 'Session ended for your security, please log in again' : 'Session expired'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: 'Session expired' });
+    }
+
+    res.json({
+      token: accessToken,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ message: 'Server error during refresh' });
+  }
+});
+
+// End this device's session
+router.post('/logout', async (req, res) => {
+  try {
+    const sessionId = sessionIdFromCookie(req);
+    if (sessionId) {
+      await Session.revoke({ _id: sessionId }, 'logout');
+    }
+
+    clearRefreshCookie(res);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Devices the current user is signed in on
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, ...Session.activeFilter() })
+      .sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session._id.toString() === String(req.sessionId)
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Error fetching sessions' });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await Session.revoke({ user: req.user._id, _id: { $ne: req.sessionId } }, 'revoked');
+
+    res.json({ message: 'Other sessions signed out', revoked: result.modifiedCount });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Error signing out sessions' });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const result = await Session.revoke({ _id: req.params.id, user: req.user._id }, 'revoked');
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (req.params.id === String(req.sessionId)) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Error signing out session' });
+  }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
     res.json({
-      user: {
-        id: req.user._id,
-        username: req.user.username,
-        email: req.user.email,
-        avatar: req.user.avatar,
-        bio: req.user.bio
-      }
+      user: formatUser(req.user)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -106,4 +426,294 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Update current user's profile
+router.patch('/me', auth, async (req, res) => {
+  try {
+    const updates = {};
+
+    if (req.body.username !== undefined) {
+      const username = String(req.body.username).trim();
+      if (username.length < 3 || username.length > 30) {
+        return res.status(400).json({ message: 'Username must be between 3 and 30 characters' });
+      }
+      updates.username = username;
+    }
+
+    if (req.body.email !== undefined) {
+      const email = String(req.body.email).trim().toLowerCase();
+      if (!emailPattern.test(email)) {
+        return res.status(400).json({ message: 'Please enter a valid email address' });
+      }
+      updates.email = email;
+    }
+
+    if (req.body.bio !== undefined) {
+      const bio = String(req.body.bio).trim();
+      if (bio.length > 500) {
+        return res.status(400).json({ message: 'Bio must be 500 characters or less' });
+      }
+      updates.bio = bio;
+    }
+
+    // Check the new username/email isn't taken by someone else
+    const taken = [];
+    if (updates.username && updates.username !== req.user.username) {
+      taken.push({ username: updates.username });
+    }
+    if (updates.email && updates.email !== req.user.email) {
+      taken.push({ email: updates.email });
+    }
+
+    if (taken.length > 0) {
+      const existingUser = await User.findOne({
+        _id: { $ne: req.user._id },
+        $or: taken
+      });
+
+      if (existingUser) {
+        return res.status(400).json({
+          message: 'User with this email or username already exists'
+        });
+      }
+    }
+
+    // A new address only replaces the current one once it's confirmed
+    const newEmail = updates.email && updates.email !== req.user.email ? updates.email : null;
+    if (updates.email !== undefined) {
+      updates.pendingEmail = newEmail;
+      delete updates.email;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, {
+      new: true,
+      runValidators: true
+    });
+
+    if (newEmail) {
+      await sendTokenEmail(user, 'verify-email', newEmail);
+      return res.json({
+        user: formatUser(user),
+        message: `Check ${newEmail} for a link to confirm your new address`
+      });
+    }
+
+    res.json({ user: formatUser(user) });
+  } catch (error) {
+    // Unique index caught a username/email claimed since our check
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'User with this email or username already exists'
+      });
+    }
+    console.error('Update profile error:', error);
+    res.status(500).json({ message: 'Server error while updating profile' });
+  }
+});
+
+// Upload a new avatar image
+router.post('/me/avatar', auth, imageUpload.single('avatar'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a JPEG, PNG, WEBP or GIF image' });
+    }
+
+    const storage = getStorage();
+    const stored = await storage.store(req.file.path, {
+      kind: 'image',
+      originalName: req.file.originalname
+    });
+
+    const user = await User.findById(req.user._id);
+    const previous = { key: user.avatarKey, driver: user.avatarStorageDriver };
+
+    user.avatar = stored.url;
+    user.avatarKey = stored.key;
+    user.avatarStorageDriver = storage.name;
+    await user.save();
+
+    // Clean up the old avatar once the new one is saved
+    if (previous.key && previous.driver) {
+      try {
+        await getStorage(previous.driver).delete(previous.key, { kind: 'image' });
+      } catch (storageError) {
+        console.error('Avatar deletion error:', storageError);
+      }
+    }
+
+    res.json({ user: formatUser(user) });
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+    res.status(500).json({ message: 'Error uploading avatar' });
+  } finally {
+    await removeTempUpload(req.file);
+  }
+});
+
+// The signed-in user with their password checked, or null when it's wrong.
+// Turning two-factor authentication on or off always asks for the password again.
+const confirmPassword = async (req) => {
+  const user = await User.findById(req.user._id);
+  if (!user || !req.body.password || !await user.comparePassword(req.body.password)) {
+    return null;
+  }
+  return user;
+};
+
+// Two-factor status for the security settings
+router.get('/me/2fa', auth, async (req, res) => {
+  try {
+    res.json({
+      enabled: Boolean(req.user.twoFactor?.enabled),
+      enabledAt: req.user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: req.user.twoFactor?.recoveryCodes?.length || 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start enrolling an authenticator app: a new secret as a QR code and otpauth:// URI
+router.post('/me/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await confirmPassword(req);
+    if (!user) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+
+    user.twoFactor.pendingSecret = generateSecret();
+    await user.save();
+
+    res.json(await enrollmentDetails(user.twoFactor.pendingSecret, user.email));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error while setting up two-factor authentication' });
+  }
+});
+
+// Finish enrolling with a code from the app. The recovery codes are only ever shown here.
+router.post('/me/2fa/enable', auth, async (req, res) => {
+  try {
+    const user = await confirmPassword(req);
+    if (!user) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: null,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    res.json({ recoveryCodes: codes, user: formatUser(user) });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+  }
+});
+
+// Turn two-factor authentication off
+router.post('/me/2fa/disable', auth, async (req, res) => {
+  try {
+    const user = await confirmPassword(req);
+    if (!user) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: -1,
+      enabledAt: null
+    };
+    await user.save();
+
+    res.json({ user: formatUser(user) });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes, invalidating the old ones
+router.post('/me/2fa/recovery-codes', auth, async (req, res) => {
+  try {
+    const user = await confirmPassword(req);
+    if (!user) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is off' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error while creating recovery codes' });
+  }
+});
+
+// Change password
+router.put('/me/password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Anyone signed in with the old password is signed out
+    await Session.revoke({ user: user._id, _id: { $ne: req.sessionId } }, 'password');
+
+    res.json({ message: 'Password updated successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error while changing password' });
+  }
+});
+
 export default router;
\ No newline at end of file
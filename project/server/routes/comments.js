@@ -0,0 +1,251 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Comment from '../models/Comment.js';
+import Video from '../models/Video.js';
+import auth, { optionalAuth } from '../middleware/auth.js';
+
+// Mounted under /api/videos/:id/comments
+const router = express.Router({ mergeParams: true });
+
+const MAX_LIMIT = 50;
+
+// Hide the content and author of soft-deleted comments
+const serializeComment = (comment) => {
+  const data = comment.toObject();
+  if (data.deletedAt) {
+    data.body = '';
+    data.author = null;
+  }
+  return data;
+};
+
+// Malformed ids can't match anything, so they are a 404 rather than a cast error
+router.use((req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Video not found' });
+  }
+  next();
+});
+
+router.param('commentId', (req, res, next, commentId) => {
+  if (!mongoose.isValidObjectId(commentId)) {
+    return res.status(404).json({ message: 'Comment not found' });
+  }
+  next();
+});
+
+// Problem with a submitted comment body, or null if it's fine
+const bodyError = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Comment cannot be empty';
+  }
+  if (body.trim().length > 2000) {
+    return 'Comment must be 2000 characters or less';
+  }
+  return null;
+};
+
+// Read limit/cursor from the query string, or null if the cursor is malformed
+const parsePagination = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_LIMIT);
+  const { cursor } = query;
+
+  if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+    return null;
+  }
+  return { limit, cursor };
+};
+
+// Run a paginated comment query and build the { comments, nextCursor } response
+const findPage = async (filter, { limit, cursor }, direction) => {
+  if (cursor) {
+    filter._id = direction === 'desc' ? { $lt: cursor } : { $gt: cursor };
+  }
+
+  const comments = await Comment.find(filter)
+    .populate('author', 'username avatar')
+    .sort({ _id: direction === 'desc' ? -1 : 1 })
+    .limit(limit + 1);
+
+  const hasMore = comments.length > limit;
+  const page = hasMore ? comments.slice(0, limit) : comments;
+
+  return {
+    comments: page.map(serializeComment),
+    nextCursor: hasMore ? page[page.length - 1]._id : null
+  };
+};
+
+// Make sure the video exists and the requester is allowed to see it
+const findViewableVideo = async (req) => {
+  const video = await Video.findById(req.params.id).select('uploader visibility');
+  return video && video.isViewableBy(req.user) ? video : null;
+};
+
+// Get top-level comments, newest first
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    if (!(await findViewableVideo(req))) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const result = await findPage(
+      { video: req.params.id, parent: null },
+      pagination,
+      'desc'
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Error fetching comments' });
+  }
+});
+
+// Get replies to a comment, oldest first
+router.get('/:commentId/replies', optionalAuth, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    if (!(await findViewableVideo(req))) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const result = await findPage(
+      { video: req.params.id, parent: req.params.commentId },
+      pagination,
+      'asc'
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get replies error:', error);
+    res.status(500).json({ message: 'Error fetching replies' });
+  }
+});
+
+// Add a comment or a reply
+router.post('/', auth, async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+
+    const message = bodyError(body);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    const video = await findViewableVideo(req);
+    if (!video) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    let parent = null;
+    if (parentId) {
+      if (!mongoose.isValidObjectId(parentId)) {
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
+
+      parent = await Comment.findOne({ _id: parentId, video: video._id });
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
+
+      // Replying to a reply joins the same thread
+      if (parent.parent) {
+        parent = await Comment.findById(parent.parent);
+      }
+    }
+
+    const comment = new Comment({
+      video: video._id,
+      author: req.user._id,
+      parent: parent ? parent._id : null,
+      body: body.trim()
+    });
+
+    await comment.save();
+
+    if (parent) {
+      await Comment.findByIdAndUpdate(parent._id, { $inc: { replyCount: 1 } });
+    }
+
+    await comment.populate('author', 'username avatar');
+
+    res.status(201).json(serializeComment(comment));
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ message: 'Error adding comment' });
+  }
+});
+
+// Edit a comment (author only)
+router.patch('/:commentId', auth, async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const message = bodyError(body);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, video: req.params.id });
+
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to edit this comment' });
+    }
+
+    comment.body = body.trim();
+    comment.editedAt = Date.now();
+    await comment.save();
+
+    await comment.populate('author', 'username avatar');
+
+    res.json(serializeComment(comment));
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ message: 'Error editing comment' });
+  }
+});
+
+// Soft delete a comment (author or video owner)
+router.delete('/:commentId', auth, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, video: req.params.id });
+
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const video = await Video.findById(req.params.id).select('uploader');
+    const userId = req.user._id.toString();
+    const isAuthor = comment.author.toString() === userId;
+    const isVideoOwner = video && video.uploader.toString() === userId;
+
+    if (!isAuthor && !isVideoOwner) {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+
+    // Keep the document so replies stay attached to their thread
+    comment.deletedAt = Date.now();
+    await comment.save();
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Error deleting comment' });
+  }
+});
+
+export default router;
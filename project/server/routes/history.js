@@ -0,0 +1,157 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import WatchHistory from '../models/WatchHistory.js';
+import Video, { parseLimit, parsePage } from '../models/Video.js';
+import auth from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Most videos that can be looked up in one progress request
+const MAX_PROGRESS_IDS = 100;
+
+// Get the current user's watch history, most recent first
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit, 20);
+
+    const entries = await WatchHistory.find({ user: req.user._id })
+      .sort({ watchedAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit)
+      .populate({
+        path: 'video',
+        populate: { path: 'uploader', select: 'username avatar' }
+      });
+
+    const total = await WatchHistory.countDocuments({ user: req.user._id });
+
+    // Videos that were deleted or made private since are left out
+    const history = entries
+      .filter((entry) => entry.video && entry.video.isViewableBy(req.user))
+      .map((entry) => ({
+        _id: entry._id,
+        position: entry.position,
+        duration: entry.duration,
+        watchedAt: entry.watchedAt,
+        video: entry.video
+      }));
+
+    res.json({
+      history,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Get watch history error:', error);
+    res.status(500).json({ message: 'Error fetching watch history' });
+  }
+});
+
+// Get saved positions for a set of videos (for progress bars on cards)
+router.get('/progress', auth, async (req, res) => {
+  try {
+    const ids = String(req.query.videos || '')
+      .split(',')
+      .filter((id) => mongoose.isValidObjectId(id))
+      .slice(0, MAX_PROGRESS_IDS);
+
+    const entries = await WatchHistory.find({ user: req.user._id, video: { $in: ids } })
+      .select('video position duration');
+
+    const progress = {};
+    for (const entry of entries) {
+      progress[entry.video] = { position: entry.position, duration: entry.duration };
+    }
+
+    res.json(progress);
+  } catch (error) {
+    console.error('Get watch progress error:', error);
+    res.status(500).json({ message: 'Error fetching watch progress' });
+  }
+});
+
+// Get the saved position for one video
+router.get('/:videoId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.videoId)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const entry = await WatchHistory.findOne({ user: req.user._id, video: req.params.videoId });
+
+    res.json({
+      position: entry?.position || 0,
+      duration: entry?.duration || 0,
+      watchedAt: entry?.watchedAt || null
+    });
+  } catch (error) {
+    console.error('Get watch position error:', error);
+    res.status(500).json({ message: 'Error fetching watch position' });
+  }
+});
+
+// Save playback progress; called periodically by the player
+router.put('/:videoId', auth, async (req, res) => {
+  try {
+    const position = Number(req.body.position);
+    const duration = Number(req.body.duration) || 0;
+
+    if (!Number.isFinite(position) || position < 0) {
+      return res.status(400).json({ message: 'Invalid position' });
+    }
+
+    const video = mongoose.isValidObjectId(req.params.videoId) && await Video.findById(req.params.videoId);
+
+    if (!video || !video.isViewableBy(req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const entry = await WatchHistory.findOneAndUpdate(
+      { user: req.user._id, video: video._id },
+      {
+        $set: {
+          position: duration > 0 ? Math.min(position, duration) : position,
+          duration,
+          watchedAt: Date.now()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ position: entry.position, duration: entry.duration });
+  } catch (error) {
+    console.error('Save watch position error:', error);
+    res.status(500).json({ message: 'Error saving watch position' });
+  }
+});
+
+// Remove one video from history
+router.delete('/:videoId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.videoId)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    await WatchHistory.deleteOne({ user: req.user._id, video: req.params.videoId });
+
+    res.json({ message: 'Removed from history' });
+  } catch (error) {
+    console.error('Delete history entry error:', error);
+    res.status(500).json({ message: 'Error removing from history' });
+  }
+});
+
+// Clear the whole history
+router.delete('/', auth, async (req, res) => {
+  try {
+    await WatchHistory.deleteMany({ user: req.user._id });
+
+    res.json({ message: 'Watch history cleared' });
+  } catch (error) {
+    console.error('Clear history error:', error);
+    res.status(500).json({ message: 'Error clearing watch history' });
+  }
+});
+
+export default router;
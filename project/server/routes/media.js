@@ -0,0 +1,57 @@
+import express from 'express';
+import path from 'path';
+import Video from '../models/Video.js';
+import getStorage from '../storage/index.js';
+import { verifyMediaToken } from '../auth/mediaAccess.js';
+
+const router = express.Router();
+
+// The video a stored file belongs to, with the key a media token has to grant to reach it.
+// Null for files that aren't video media, like thumbnails and avatars.
+const videoFor = async (key) => {
+  if (key.startsWith('hls/')) {
+    const packageKey = key.split('/').slice(0, 2).join('/');
+    return {
+      video: await Video.findOne({ 'hls.key': packageKey }).select('visibility'),
+      grantKey: packageKey
+    };
+  }
+
+  if (key.startsWith('videos/')) {
+    return {
+      video: await Video.findOne({ cloudinaryId: key, storageDriver: 'local' }).select('visibility'),
+      grantKey: key
+    };
+  }
+
+  return null;
+};
+
+// Stream a stored media file through the configured storage adapter.
+// Private videos' files are requested as /t/<media token>/<key>.
+router.get('/*', async (req, res) => {
+  try {
+    const [, token, requested] = req.params[0].match(/^t\/([^/]+)\/(.*)$/) || [null, null, req.params[0]];
+    const key = path.posix.normalize(requested);
+
+    // Video files and HLS packages are only served to those allowed to watch the video
+    const owner = await videoFor(key);
+    if (owner) {
+      const allowed = owner.video &&
+        (owner.video.visibility !== 'private' || verifyMediaToken(token) === owner.grantKey);
+
+      if (!allowed) {
+        return res.status(404).json({ message: 'Media not found' });
+      }
+    }
+
+    await getStorage().stream(key, req, res);
+  } catch (error) {
+    console.error('Media stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Error streaming media' });
+    }
+  }
+});
+
+export default router;
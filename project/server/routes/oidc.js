@@ -0,0 +1,174 @@
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { getProviders, getProvider, startAuthorization, completeAuthorization } from '../auth/oidc.js';
+import { startSession, readCookie, jwtSecret } from '../auth/sessions.js';
+import { signChallenge } from '../auth/twoFactor.js';
+import { sendTokenEmail } from '../auth/emailTokens.js';
+
+const router = express.Router();
+
+// State, nonce and PKCE verifier travel in a short-lived signed cookie between start and callback.
+// Lax rather than None: the callback is a top-level redirect back from the provider.
+const FLOW_COOKIE = 'oidcFlow';
+const FLOW_TTL = 10 * 60 * 1000;
+const flowCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+};
+
+const clientUrl = () => process.env.CLIENT_URL || 'https://vid-share.onrender.com';
+const serverUrl = () => process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Must match the redirect URI registered with the provider
+const redirectUriFor = (provider) => `${serverUrl()}/api/auth/oidc/${provider.id}/callback`;
+
+// Only paths on our own site, so the flow can't be used as an open redirect
+const safeReturnTo = (returnTo) => (
+  typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ? returnTo : '/'
+);
+
+const redirectWithError = (res, message) => {
+  res.redirect(`${clientUrl()}/login?authError=${encodeURIComponent(message)}`);
+};
+
+const isTrue = (value) => value === true || value === 'true';
+
+// A free username based on what the provider knows about the user
+const uniqueUsername = async (claims) => {
+  const source = claims.preferred_username || claims.name || (claims.email || '').split('@')[0];
+  let base = String(source || '').replace(/[^a-zA-Z0-9_.-]/g, '').slice(0, 24);
+  if (base.length < 3) {
+    base = `user${base}`;
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const username = attempt === 0 ? base : `${base}${crypto.randomInt(1000, 10000)}`;
+    if (!await User.exists({ username })) {
+      return username;
+    }
+  }
+  return `${base}${crypto.randomBytes(4).toString('hex')}`;
+};
+
+// The user a provider account signs in as: the one already linked to it, an existing
+// account with the same verified email (which gets linked), or a new account.
+// Returns { user } or { error } with a message to show on the login page.
+const resolveUser = async (provider, claims) => {
+  const identity = { provider: provider.id, subject: String(claims.sub) };
+
+  const linked = await User.findOne({ identities: { $elemMatch: identity } });
+  if (linked) {
+    return { user: linked };
+  }
+
+  const email = String(claims.email || '').trim().toLowerCase();
+  if (!email) {
+    return { error: `${provider.label} didn't share an email address` };
+  }
+
+  const emailVerified = isTrue(claims.email_verified);
+  const existing = await User.findOne({ email });
+
+  if (existing) {
+    // Both sides have to have proven the address, or someone could claim another person's account
+    if (!emailVerified || !existing.emailVerified) {
+      return { error: 'An account already uses this email. Sign in with your password first.' };
+    }
+
+    existing.identities.push({ ...identity, email });
+    await existing.save();
+    return { user: existing };
+  }
+
+  // No password to sign in with yet; "forgot password" can set one
+  const user = new User({
+    username: await uniqueUsername(claims),
+    email,
+    emailVerified,
+    password: crypto.randomBytes(32).toString('base64url'),
+    avatar: typeof claims.picture === 'string' ? claims.picture : '',
+    identities: [{ ...identity, email }]
+  });
+  await user.save();
+
+  return { user };
+};
+
+// Providers to offer on the login page
+router.get('/providers', (req, res) => {
+  res.json(getProviders().map(({ id, label }) => ({ id, label })));
+});
+
+// Send the browser to the provider
+router.get('/:provider/start', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ message: 'Unknown sign-in provider' });
+  }
+
+  try {
+    const { url, flow } = await startAuthorization(provider, redirectUriFor(provider));
+    const signedFlow = jwt.sign(
+      { ...flow, returnTo: safeReturnTo(req.query.returnTo) },
+      jwtSecret(),
+      { expiresIn: FLOW_TTL / 1000 }
+    );
+
+    res.cookie(FLOW_COOKIE, signedFlow, { ...flowCookieOptions, maxAge: FLOW_TTL });
+    res.redirect(url);
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    redirectWithError(res, `Couldn't reach ${provider.label}, please try again`);
+  }
+});
+
+// The provider sends the browser back here with a code to exchange
+router.get('/:provider/callback', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ message: 'Unknown sign-in provider' });
+  }
+
+  res.clearCookie(FLOW_COOKIE, flowCookieOptions);
+
+  let flow;
+  try {
+    flow = jwt.verify(readCookie(req, FLOW_COOKIE) || '', jwtSecret());
+  } catch {
+    return redirectWithError(res, 'Sign-in took too long, please try again');
+  }
+
+  try {
+    const claims = await completeAuthorization(provider, redirectUriFor(provider), flow, req.query);
+    const { user, error } = await resolveUser(provider, claims);
+
+    if (error) {
+      return redirectWithError(res, error);
+    }
+
+    // An address the provider hasn't verified gets confirmed the same way as at registration
+    if (!user.emailVerified) {
+      await sendTokenEmail(user, 'verify-email');
+      return redirectWithError(res, `Please confirm your email address using the link we sent to ${user.email}, then sign in again`);
+    }
+
+    // The provider doesn't stand in for our own second factor. The challenge goes in the
+    // fragment, which stays out of server logs and Referer headers.
+    if (user.twoFactor?.enabled) {
+      return res.redirect(`${clientUrl()}/login#challenge=${encodeURIComponent(signChallenge(user))}`);
+    }
+
+    // The refresh cookie is all the app needs; it restores the session when it loads
+    await startSession(req, res, user);
+    res.redirect(`${clientUrl()}${safeReturnTo(flow.returnTo)}`);
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectWithError(res, `Sign-in with ${provider.label} failed, please try again`);
+  }
+});
+
+export default router;
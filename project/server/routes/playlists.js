@@ -0,0 +1,269 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Playlist from '../models/Playlist.js';
+import Video from '../models/Video.js';
+import auth, { optionalAuth } from '../middleware/auth.js';
+import { withMediaAccess } from '../auth/mediaAccess.js';
+
+const router = express.Router();
+
+const visibilityLevels = ['public', 'unlisted', 'private'];
+
+// Apply validation errors the same way the video routes do
+const validationMessage = (error) => {
+  const [firstError] = Object.values(error.errors || {});
+  return firstError?.message || 'Invalid playlist details';
+};
+
+const summarize = (playlist, videoId) => ({
+  _id: playlist._id,
+  title: playlist.title,
+  description: playlist.description,
+  visibility: playlist.visibility,
+  videoCount: playlist.videos.length,
+  containsVideo: videoId ? playlist.videos.some((id) => id.toString() === videoId) : undefined,
+  updatedAt: playlist.updatedAt
+});
+
+// Load a playlist the current user owns, or send the right error
+const findOwnedPlaylist = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Playlist not found' });
+    return null;
+  }
+
+  const playlist = await Playlist.findById(req.params.id);
+
+  if (!playlist) {
+    res.status(404).json({ message: 'Playlist not found' });
+    return null;
+  }
+
+  if (!playlist.isOwnedBy(req.user)) {
+    res.status(403).json({ message: 'Not authorized to modify this playlist' });
+    return null;
+  }
+
+  return playlist;
+};
+
+// Get the current user's playlists (optionally flagging which contain a video)
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const playlists = await Playlist.find({ owner: req.user._id }).sort({ updatedAt: -1 });
+
+    res.json(playlists.map((playlist) => summarize(playlist, req.query.video)));
+  } catch (error) {
+    console.error('Get playlists error:', error);
+    res.status(500).json({ message: 'Error fetching playlists' });
+  }
+});
+
+// Get a playlist with its videos in order
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    const playlist = await Playlist.findById(req.params.id)
+      .populate('owner', 'username avatar')
+      .populate({
+        path: 'videos',
+        populate: { path: 'uploader', select: 'username avatar' }
+      });
+
+    // Private playlists look the same as missing ones to everyone but the owner
+    if (!playlist || !playlist.isViewableBy(req.user)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    // Skip deleted videos and other people's private ones
+    const videos = playlist.videos
+      .filter((video) => video && video.isViewableBy(req.user))
+      .map(withMediaAccess);
+
+    res.json({ ...playlist.toObject(), videos });
+  } catch (error) {
+    console.error('Get playlist error:', error);
+    res.status(500).json({ message: 'Error fetching playlist' });
+  }
+});
+
+// Create a playlist
+router.post('/', auth, async (req, res) => {
+  try {
+    const { title, description, visibility = 'public', videoId } = req.body;
+
+    if (!visibilityLevels.includes(visibility)) {
+      return res.status(400).json({ message: 'Invalid visibility' });
+    }
+
+    const playlist = new Playlist({
+      owner: req.user._id,
+      title,
+      description,
+      visibility,
+      videos: []
+    });
+
+    // Allow creating a playlist straight from the "add to playlist" menu
+    if (videoId) {
+      const video = mongoose.isValidObjectId(videoId) && await Video.findById(videoId);
+      if (!video || !video.isViewableBy(req.user)) {
+        return res.status(404).json({ message: 'Video not found' });
+      }
+      playlist.videos.push(video._id);
+    }
+
+    try {
+      await playlist.validate();
+    } catch (validationError) {
+      return res.status(400).json({ message: validationMessage(validationError) });
+    }
+
+    await playlist.save();
+
+    res.status(201).json(summarize(playlist, videoId));
+  } catch (error) {
+    console.error('Create playlist error:', error);
+    res.status(500).json({ message: 'Error creating playlist' });
+  }
+});
+
+// Update playlist details (owner only)
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const playlist = await findOwnedPlaylist(req, res);
+    if (!playlist) return;
+
+    const { title, description, visibility } = req.body;
+
+    if (title !== undefined) playlist.title = title;
+    if (description !== undefined) playlist.description = description;
+
+    if (visibility !== undefined) {
+      if (!visibilityLevels.includes(visibility)) {
+        return res.status(400).json({ message: 'Invalid visibility' });
+      }
+      playlist.visibility = visibility;
+    }
+
+    try {
+      await playlist.validate();
+    } catch (validationError) {
+      return res.status(400).json({ message: validationMessage(validationError) });
+    }
+
+    await playlist.save();
+
+    res.json(summarize(playlist));
+  } catch (error) {
+    console.error('Update playlist error:', error);
+    res.status(500).json({ message: 'Error updating playlist' });
+  }
+});
+
+// Delete a playlist (owner only); the videos themselves are untouched
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const playlist = await findOwnedPlaylist(req, res);
+    if (!playlist) return;
+
+    await playlist.deleteOne();
+
+    res.json({ message: 'Playlist deleted successfully' });
+  } catch (error) {
+    console.error('Delete playlist error:', error);
+    res.status(500).json({ message: 'Error deleting playlist' });
+  }
+});
+
+// Append a video to the end of a playlist
+router.post('/:id/videos', auth, async (req, res) => {
+  try {
+    const playlist = await findOwnedPlaylist(req, res);
+    if (!playlist) return;
+
+    const { videoId } = req.body;
+    const video = mongoose.isValidObjectId(videoId) && await Video.findById(videoId);
+
+    if (!video || !video.isViewableBy(req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    // Only push when the video isn't there yet so concurrent adds can't duplicate it
+    await Playlist.updateOne(
+      { _id: playlist._id, videos: { $ne: video._id } },
+      { $push: { videos: video._id }, $set: { updatedAt: Date.now() } }
+    );
+
+    const updated = await Playlist.findById(playlist._id);
+
+    res.json(summarize(updated, videoId));
+  } catch (error) {
+    console.error('Add to playlist error:', error);
+    res.status(500).json({ message: 'Error adding video to playlist' });
+  }
+});
+
+// Remove a video from a playlist
+router.delete('/:id/videos/:videoId', auth, async (req, res) => {
+  try {
+    const playlist = await findOwnedPlaylist(req, res);
+    if (!playlist) return;
+
+    if (!mongoose.isValidObjectId(req.params.videoId)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const updated = await Playlist.findByIdAndUpdate(
+      playlist._id,
+      { $pull: { videos: req.params.videoId }, $set: { updatedAt: Date.now() } },
+      { new: true }
+    );
+
+    res.json(summarize(updated, req.params.videoId));
+  } catch (error) {
+    console.error('Remove from playlist error:', error);
+    res.status(500).json({ message: 'Error removing video from playlist' });
+  }
+});
+
+// Reorder a playlist; videoIds must list exactly the videos it already holds
+router.put('/:id/order', auth, async (req, res) => {
+  try {
+    const playlist = await findOwnedPlaylist(req, res);
+    if (!playlist) return;
+
+    const { videoIds } = req.body;
+    const current = playlist.videos.map((id) => id.toString());
+
+    if (
+      !Array.isArray(videoIds) ||
+      videoIds.length !== current.length ||
+      new Set(videoIds).size !== videoIds.length ||
+      !videoIds.every((id) => current.includes(String(id)))
+    ) {
+      return res.status(400).json({ message: 'Order must include every video in the playlist exactly once' });
+    }
+
+    // Only apply if nobody added or removed videos since we read the playlist
+    const updated = await Playlist.findOneAndUpdate(
+      { _id: playlist._id, videos: playlist.videos },
+      { $set: { videos: videoIds, updatedAt: Date.now() } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Playlist changed, please reload and try again' });
+    }
+
+    res.json(summarize(updated));
+  } catch (error) {
+    console.error('Reorder playlist error:', error);
+    res.status(500).json({ message: 'Error reordering playlist' });
+  }
+});
+
+export default router;
@@ -0,0 +1,174 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Video, { parseLimit, parsePage } from '../models/Video.js';
+import auth from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Sort orders for channel video listings; _id breaks ties so pages don't overlap
+const channelSorts = {
+  newest: { createdAt: -1, _id: -1 },
+  views: { views: -1, createdAt: -1, _id: -1 },
+  likes: { likesCount: -1, createdAt: -1, _id: -1 }
+};
+
+// A malformed id can't match any user
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+  next();
+});
+
+// Get a public channel profile with aggregate stats
+router.get('/channel/:username', async (req, res) => {
+  try {
+    const channel = await User.findOne({ username: req.params.username })
+      .select('username avatar bio subscriberCount createdAt');
+
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+
+    const [stats] = await Video.aggregate([
+      { $match: { uploader: channel._id, visibility: 'public' } },
+      {
+        $group: {
+          _id: null,
+          totalVideos: { $sum: 1 },
+          totalViews: { $sum: '$views' },
+          totalLikes: { $sum: { $size: '$likes' } }
+        }
+      }
+    ]);
+
+    res.json({
+      channel: {
+        id: channel._id,
+        username: channel.username,
+        avatar: channel.avatar,
+        bio: channel.bio,
+        subscriberCount: channel.subscriberCount,
+        createdAt: channel.createdAt,
+        totalVideos: stats?.totalVideos || 0,
+        totalViews: stats?.totalViews || 0,
+        totalLikes: stats?.totalLikes || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get channel error:', error);
+    res.status(500).json({ message: 'Error fetching channel' });
+  }
+});
+
+// Get a channel's public videos
+router.get('/channel/:username/videos', async (req, res) => {
+  try {
+    const { sort = 'newest' } = req.query;
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit);
+
+    if (!channelSorts[sort]) {
+      return res.status(400).json({ message: 'Invalid sort option' });
+    }
+
+    const channel = await User.findOne({ username: req.params.username }).select('_id');
+
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+
+    const query = { uploader: channel._id, visibility: 'public' };
+
+    const videos = await Video.aggregate([
+      { $match: query },
+      { $addFields: { likesCount: { $size: '$likes' } } },
+      { $sort: channelSorts[sort] },
+      { $skip: (page - 1) * limit },
+      { $limit: limit }
+    ]);
+
+    await Video.populate(videos, { path: 'uploader', select: 'username avatar' });
+
+    const total = await Video.countDocuments(query);
+
+    res.json({
+      videos,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Get channel videos error:', error);
+    res.status(500).json({ message: 'Error fetching channel videos' });
+  }
+});
+
+// Get whether the current user is subscribed to a channel
+router.get('/:id/subscription', auth, async (req, res) => {
+  try {
+    const channel = await User.findById(req.params.id).select('subscriberCount');
+
+    if (!channel) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      subscribed: req.user.subscriptions.some(id => id.toString() === channel._id.toString()),
+      subscriberCount: channel.subscriberCount
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({ message: 'Error fetching subscription' });
+  }
+});
+
+// Subscribe/Unsubscribe to a channel
+router.post('/:id/subscribe', auth, async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot subscribe to yourself' });
+    }
+
+    const channel = await User.findById(req.params.id).select('_id');
+
+    if (!channel) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Only touch the count when the subscription list actually changed,
+    // so double clicks and concurrent requests can't skew it
+    const added = await User.updateOne(
+      { _id: req.user._id, subscriptions: { $ne: channel._id } },
+      { $push: { subscriptions: channel._id } }
+    );
+
+    let subscribed = true;
+    let delta = added.modifiedCount ? 1 : 0;
+
+    if (!added.modifiedCount) {
+      const removed = await User.updateOne(
+        { _id: req.user._id, subscriptions: channel._id },
+        { $pull: { subscriptions: channel._id } }
+      );
+      subscribed = false;
+      delta = removed.modifiedCount ? -1 : 0;
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      channel._id,
+      { $inc: { subscriberCount: delta } },
+      { new: true }
+    ).select('subscriberCount');
+
+    res.json({
+      subscribed,
+      subscriberCount: updated.subscriberCount
+    });
+  } catch (error) {
+    console.error('Subscribe error:', error);
+    res.status(500).json({ message: 'Error updating subscription' });
+  }
+});
+
+export default router;
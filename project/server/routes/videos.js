@@ -1,42 +1,126 @@
 import express from 'express';
-import multer from 'multer';
-import { v2 as cloudinary } from 'cloudinary';
-import { CloudinaryStorage } from 'multer-storage-cloudinary';
-import Video from '../models/Video.js';
+import mongoose from 'mongoose';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import Video, { videoCategories, normalizeTags, tagsError, parseLimit, parsePage } from '../models/Video.js';
 import User from '../models/User.js';
-import auth from '../middleware/auth.js';
+import Comment from '../models/Comment.js';
+import UploadSession, { notCompleting } from '../models/UploadSession.js';
+import Playlist from '../models/Playlist.js';
+import WatchHistory from '../models/WatchHistory.js';
+import VideoView from '../models/VideoView.js';
+import VideoStat from '../models/VideoStat.js';
+import auth, { optionalAuth } from '../middleware/auth.js';
+import { videoUpload, imageUpload, videoExtensions, MAX_VIDEO_SIZE, removeTempUpload } from '../middleware/upload.js';
+import getStorage from '../storage/index.js';
+import { enqueueProcessing } from '../processing/index.js';
+import { assertPublicUrl } from '../processing/remoteSource.js';
+import { isBot, viewerKey, sessionKey, recordView, recordLike } from '../analytics/index.js';
+import { findRelated } from '../recommendations/index.js';
+import { withMediaAccess } from '../auth/mediaAccess.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
 const router = express.Router();
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const visibilityLevels = ['public', 'unlisted', 'private'];
+
+// Sort orders for video listings and search results; _id breaks ties so cursors are exact
+const listSorts = {
+  relevance: { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 },
+  trending: { trendingScore: -1, views: -1, createdAt: -1, _id: -1 },
+  date: { createdAt: -1, _id: -1 },
+  views: { views: -1, createdAt: -1, _id: -1 },
+  likes: { likesCount: -1, createdAt: -1, _id: -1 }
+};
+
+// A cursor records the sort it belongs to and the sort values of the last video returned
+const encodeCursor = (sortName, video) => {
+  const values = Object.keys(listSorts[sortName]).map((key) => video[key]);
+  return Buffer.from(JSON.stringify({ sort: sortName, values })).toString('base64url');
+};
+
+// Filter for the videos after a cursor in the same sort, or null when the cursor is unusable.
+// Keyset paging like this doesn't shift when new videos are uploaded mid-scroll.
+const afterCursor = (cursor, sortName) => {
+  const sort = listSorts[sortName];
+  const keys = Object.keys(sort);
 
-// Configure multer for Cloudinary
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'video-sharing-platform',
-    resource_type: 'video',
-    allowed_formats: ['mp4', 'mov', 'avi', 'wmv', 'flv', 'webm'],
-    transformation: [
-      { quality: 'auto' },
-      { fetch_format: 'auto' }
-    ]
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (parsed.sort !== sortName || !Array.isArray(parsed.values) || parsed.values.length !== keys.length) {
+      return null;
+    }
+
+    const values = parsed.values.map((value, index) => {
+      if (keys[index] === '_id') return new mongoose.Types.ObjectId(value);
+      if (keys[index] === 'createdAt') return new Date(value);
+      return value;
+    });
+
+    if (values.some((value) => value instanceof Date && Number.isNaN(value.getTime()))) {
+      return null;
+    }
+
+    // (a < x) or (a = x and b < y) or ... for each sort key in turn
+    return {
+      $or: keys.map((key, index) => ({
+        ...Object.fromEntries(keys.slice(0, index).map((previous, i) => [previous, values[i]])),
+        [key]: { [sort[key] === 1 ? '$gt' : '$lt']: values[index] }
+      }))
+    };
+  } catch {
+    return null;
   }
-});
+};
+
+// Duration filters, in seconds
+const durationBuckets = {
+  short: { $gt: 0, $lt: 4 * 60 },
+  medium: { $gte: 4 * 60, $lte: 20 * 60 },
+  long: { $gt: 20 * 60 }
+};
+
+const SUGGESTION_LIMIT = 5;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Seconds of playback the player must report before a view is counted
+const MIN_VIEW_SECONDS = 5;
+
+// Resumable uploads: partial files live here until they are finalized
+const UPLOAD_SESSION_DIR = path.join(os.tmpdir(), 'video-uploads');
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+const UPLOAD_SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours since the last chunk
+
+// Tags arrive as a comma-separated string from forms, or as an array from JSON
+const parseTags = (tags) => {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return normalizeTags(list);
+};
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 * 1024 // 5GB limit
+// Problem with a new video's title or description, or null if they're fine. Checked
+// before the file is stored, so a bad request doesn't leave an orphaned upload behind.
+const detailsError = ({ title, description }) => {
+  if (typeof title !== 'string' || !title.trim()) {
+    return 'Title is required';
   }
-});
+  if (title.trim().length > 200) {
+    return 'Title must be 200 characters or less';
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'Invalid description';
+  }
+  if (description && description.trim().length > 2000) {
+    return 'Description must be 2000 characters or less';
+  }
+  return null;
+};
 
 // Helper function to generate thumbnail URL
 const generateThumbnailUrl = (videoUrl) => {
@@ -117,64 +201,362 @@ const extractVideoId = (videoUrl) => {
   return null;
 };
 
+// Links to hosted players (YouTube, Vimeo, Drive) can't be read by ffmpeg
+const isHostedPlayerLink = (videoUrl) => {
+  return ['youtube.com', 'youtu.be', 'vimeo.com', 'drive.google.com', 'docs.google.com']
+    .some(host => videoUrl.includes(host));
+};
+
+// Hand a finished upload to storage and create its Video record
+const createUploadedVideo = async ({ filePath, originalName, userId, title, description, tags, category, visibility }) => {
+  const storage = getStorage();
+  const stored = await storage.store(filePath, {
+    kind: 'video',
+    originalName
+  });
+  const thumbnailUrl = storage.thumbnailUrl(stored.key) || generateThumbnailUrl(stored.url);
+
+  const video = new Video({
+    title,
+    description,
+    cloudinaryId: stored.key,
+    storageDriver: storage.name,
+    videoUrl: stored.url,
+    thumbnailUrl,
+    duration: 0,
+    processingStatus: 'processing',
+    uploader: userId,
+    visibility,
+    category,
+    tags: parseTags(tags)
+  });
+
+  try {
+    await video.save();
+  } catch (error) {
+    // Don't leave a stored file behind with no video pointing at it
+    await storage.delete(stored.key, { kind: 'video' }).catch((deleteError) => {
+      console.error('Stored video cleanup error:', deleteError);
+    });
+    throw error;
+  }
+
+  // Add video to user's videos array
+  await User.findByIdAndUpdate(userId, {
+    $push: { videos: video._id }
+  });
+
+  // Fill in duration, metadata and thumbnail in the background
+  enqueueProcessing(video._id);
+
+  await video.populate('uploader', 'username avatar');
+
+  return video;
+};
+
+// Malformed ids can't match anything, so they get the same 404 as a missing record
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ message: 'Video not found' });
+  }
+  next();
+});
+
+router.param('uploadId', (req, res, next, uploadId) => {
+  if (!mongoose.isValidObjectId(uploadId)) {
+    return res.status(404).json({ message: 'Upload not found' });
+  }
+  next();
+});
+
 // Upload video file
-router.post('/upload', auth, upload.single('video'), async (req, res) => {
+router.post('/upload', auth, videoUpload.single('video'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No video file provided' });
     }
 
-    const { title, description, tags } = req.body;
+    const { title, description, tags, category = 'other', visibility = 'public' } = req.body;
 
-    const cloudinaryId = req.file.filename;
-    const videoUrl = req.file.path;
-    const thumbnailUrl = generateThumbnailUrl(videoUrl);
+    const detailError = detailsError({ title, description });
+    if (detailError) {
+      return res.status(400).json({ message: detailError });
+    }
 
-    const video = new Video({
+    if (!visibilityLevels.includes(visibility)) {
+      return res.status(400).json({ message: 'Invalid visibility' });
+    }
+
+    if (!videoCategories.includes(category)) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    const tagError = tagsError(parseTags(tags));
+    if (tagError) {
+      return res.status(400).json({ message: tagError });
+    }
+
+    const video = await createUploadedVideo({
+      filePath: req.file.path,
+      originalName: req.file.originalname,
+      userId: req.user._id,
       title,
       description,
-      cloudinaryId,
-      videoUrl,
-      thumbnailUrl,
-      duration: 0,
-      uploader: req.user._id,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : []
+      tags,
+      category,
+      visibility
     });
 
-    await video.save();
+    res.status(201).json(video);
+  } catch (error) {
+    console.error('Video upload error:', error);
+    res.status(500).json({ message: 'Error uploading video' });
+  } finally {
+    await removeTempUpload(req.file);
+  }
+});
 
-    // Add video to user's videos array
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: { videos: video._id }
+// Start a resumable upload session
+router.post('/uploads', auth, async (req, res) => {
+  try {
+    const { filename, size, title, description, tags, category = 'other', visibility = 'public' } = req.body;
+    const fileSize = Number(size);
+
+    if (!filename || !videoExtensions.includes(path.extname(filename).toLowerCase())) {
+      return res.status(400).json({ message: 'Please select a valid video file (MP4, MOV, AVI, WMV, FLV, WEBM)' });
+    }
+
+    if (!Number.isInteger(fileSize) || fileSize <= 0 || fileSize > MAX_VIDEO_SIZE) {
+      return res.status(400).json({ message: 'File size must be less than 5GB' });
+    }
+
+    const detailError = detailsError({ title, description });
+    if (detailError) {
+      return res.status(400).json({ message: detailError });
+    }
+
+    if (!visibilityLevels.includes(visibility)) {
+      return res.status(400).json({ message: 'Invalid visibility' });
+    }
+
+    if (!videoCategories.includes(category)) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    const tagError = tagsError(parseTags(tags));
+    if (tagError) {
+      return res.status(400).json({ message: tagError });
+    }
+
+    await fs.mkdir(UPLOAD_SESSION_DIR, { recursive: true });
+    const tempPath = path.join(UPLOAD_SESSION_DIR, crypto.randomBytes(16).toString('hex'));
+    await fs.writeFile(tempPath, '');
+
+    const session = await UploadSession.create({
+      user: req.user._id,
+      filename,
+      size: fileSize,
+      tempPath,
+      title,
+      description,
+      tags: parseTags(tags),
+      category,
+      visibility,
+      expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL)
     });
 
-    await video.populate('uploader', 'username avatar');
+    res.status(201).json({
+      id: session._id,
+      offset: session.offset,
+      size: session.size,
+      chunkSize: UPLOAD_CHUNK_SIZE
+    });
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({ message: 'Error starting upload' });
+  }
+});
+
+// Get how much of an upload the server has
+router.get('/uploads/:uploadId', auth, async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ _id: req.params.uploadId, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    res.set('Upload-Offset', String(session.offset));
+    res.json({
+      id: session._id,
+      offset: session.offset,
+      size: session.size,
+      chunkSize: UPLOAD_CHUNK_SIZE
+    });
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({ message: 'Error fetching upload' });
+  }
+});
+
+// Append a chunk of raw bytes at the offset given in the Upload-Offset header
+router.put('/uploads/:uploadId', auth, async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ _id: req.params.uploadId, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    const start = Number(req.header('Upload-Offset'));
+    const length = Number(req.header('Content-Length'));
+
+    // The client must continue exactly where the server left off
+    if (start !== session.offset) {
+      res.set('Upload-Offset', String(session.offset));
+      return res.status(409).json({ message: 'Upload offset mismatch', offset: session.offset });
+    }
+
+    if (!Number.isInteger(length) || length <= 0 || length > UPLOAD_CHUNK_SIZE || start + length > session.size) {
+      return res.status(400).json({ message: 'Invalid chunk size' });
+    }
+
+    await pipeline(req, createWriteStream(session.tempPath, { flags: 'r+', start }));
+
+    const { size: written } = await fs.stat(session.tempPath);
+    const offset = Math.min(written, start + length);
+
+    // Only advance if nobody else moved the offset while we were writing
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, offset: start },
+      {
+        $set: {
+          offset,
+          expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL)
+        }
+      },
+      { new: true }
+    );
+
+    const current = updated ? updated.offset : (await UploadSession.findById(session._id)).offset;
+
+    res.set('Upload-Offset', String(current));
+    res.json({ offset: current, size: session.size });
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ message: 'Error uploading chunk' });
+  }
+});
+
+// Turn a fully received upload into a video
+router.post('/uploads/:uploadId/complete', auth, async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ _id: req.params.uploadId, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    if (session.offset !== session.size) {
+      return res.status(409).json({ message: 'Upload is not complete', offset: session.offset });
+    }
+
+    // Claim the session so a repeated request can't create the video twice
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, ...notCompleting() },
+      { $set: { completingAt: new Date() } }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'Upload is already being finished' });
+    }
+
+    let video;
+    try {
+      video = await createUploadedVideo({
+        filePath: session.tempPath,
+        originalName: session.filename,
+        userId: req.user._id,
+        title: session.title,
+        description: session.description,
+        tags: session.tags,
+        category: session.category,
+        visibility: session.visibility
+      });
+    } catch (error) {
+      // Release the claim so the upload can be finished again, unless its file was
+      // already handed to storage, in which case there is nothing left to retry with
+      const retryable = await fs.access(session.tempPath).then(() => true, () => false);
+      if (retryable) {
+        await UploadSession.updateOne({ _id: session._id }, { $set: { completingAt: null } });
+      } else {
+        await UploadSession.deleteOne({ _id: session._id });
+      }
+      throw error;
+    }
+
+    await UploadSession.deleteOne({ _id: session._id });
 
     res.status(201).json(video);
   } catch (error) {
-    console.error('Video upload error:', error);
-    res.status(500).json({ message: 'Error uploading video' });
+    console.error('Complete upload error:', error);
+    res.status(500).json({ message: 'Error finishing upload' });
+  }
+});
+
+// Cancel an upload and discard what was received
+router.delete('/uploads/:uploadId', auth, async (req, res) => {
+  try {
+    const session = await UploadSession.findOneAndDelete({
+      _id: req.params.uploadId,
+      user: req.user._id,
+      ...notCompleting()
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    await fs.rm(session.tempPath, { force: true });
+
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({ message: 'Error cancelling upload' });
   }
 });
 
 // Upload video link
 router.post('/upload-link', auth, async (req, res) => {
   try {
-    const { title, description, tags, videoUrl } = req.body;
+    const { title, description, tags, videoUrl, category = 'other', visibility = 'public' } = req.body;
+
+    if (!visibilityLevels.includes(visibility)) {
+      return res.status(400).json({ message: 'Invalid visibility' });
+    }
+
+    if (!videoCategories.includes(category)) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    const tagError = tagsError(parseTags(tags));
+    if (tagError) {
+      return res.status(400).json({ message: tagError });
+    }
 
     if (!videoUrl) {
       return res.status(400).json({ message: 'Video URL is required' });
     }
 
-    // Validate URL format
+    // Only public http(s) links; ffmpeg fetches them from the server
     try {
-      new URL(videoUrl);
-    } catch {
-      return res.status(400).json({ message: 'Invalid video URL format' });
+      await assertPublicUrl(videoUrl);
+    } catch (urlError) {
+      return res.status(400).json({ message: urlError.message });
     }
 
     const thumbnailUrl = generateThumbnailUrl(videoUrl);
     const cloudinaryId = extractVideoId(videoUrl) || `link_${Date.now()}`;
+    const canProcess = !isHostedPlayerLink(videoUrl);
 
     const video = new Video({
       title,
@@ -183,8 +565,11 @@ router.post('/upload-link', auth, async (req, res) => {
       videoUrl,
       thumbnailUrl,
       duration: 0,
+      processingStatus: canProcess ? 'processing' : 'ready',
       uploader: req.user._id,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : []
+      visibility,
+      category,
+      tags: parseTags(tags)
     });
 
     await video.save();
@@ -194,6 +579,11 @@ router.post('/upload-link', auth, async (req, res) => {
       $push: { videos: video._id }
     });
 
+    // Direct file links can be probed just like uploads
+    if (canProcess) {
+      enqueueProcessing(video._id);
+    }
+
     await video.populate('uploader', 'username avatar');
 
     res.status(201).json(video);
@@ -204,67 +594,380 @@ router.post('/upload-link', auth, async (req, res) => {
 });
 
 // Get all videos (public)
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 12, search } = req.query;
-    const query = { isPrivate: false };
+    const { cursor, search, tag, category, uploader, from, to, duration } = req.query;
+    const sort = req.query.sort || (search ? 'relevance' : 'date');
+    const limit = parseLimit(req.query.limit);
+
+    if (!listSorts[sort] || (sort === 'relevance' && !search)) {
+      return res.status(400).json({ message: 'Invalid sort option' });
+    }
+
+    const after = cursor && afterCursor(cursor, sort);
+    if (cursor && !after) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    if (duration && !durationBuckets[duration]) {
+      return res.status(400).json({ message: 'Invalid duration filter' });
+    }
+
+    if (category && !videoCategories.includes(category)) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    const query = { visibility: 'public' };
 
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+      query.$text = { $search: search };
     }
 
-    const videos = await Video.find(query)
-      .populate('uploader', 'username avatar')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    if (tag) {
+      query.tags = normalizeTags([tag])[0] || '';
+    }
 
-    const total = await Video.countDocuments(query);
+    if (category) {
+      query.category = category;
+    }
 
-    res.json({
-      videos,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page
-    });
+    if (uploader) {
+      const uploaderUser = await User.findOne({ username: uploader }).select('_id');
+      if (!uploaderUser) {
+        return res.json({ videos: [], nextCursor: null, total: 0 });
+      }
+      query.uploader = uploaderUser._id;
+    }
+
+    if (from || to) {
+      const fromDate = from && new Date(from);
+      const toDate = to && new Date(to);
+      if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date filter' });
+      }
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) {
+        // A bare date includes that whole day
+        const wholeDay = /^\d{4}-\d{2}-\d{2}$/.test(to);
+        query.createdAt.$lt = wholeDay ? new Date(toDate.getTime() + 24 * 60 * 60 * 1000) : toDate;
+      }
+    }
+
+    if (duration) {
+      query.duration = durationBuckets[duration];
+    }
+
+    const videos = await Video.aggregate([
+      { $match: query },
+      {
+        $addFields: {
+          likesCount: { $size: '$likes' },
+          ...(search && { score: { $meta: 'textScore' } })
+        }
+      },
+      ...(after ? [{ $match: after }] : []),
+      { $sort: listSorts[sort] },
+      // One extra tells us whether there is another page
+      { $limit: limit + 1 }
+    ]);
+
+    const hasMore = videos.length > limit;
+    const pageVideos = videos.slice(0, limit);
+
+    await Video.populate(pageVideos, { path: 'uploader', select: 'username avatar' });
+
+    const response = {
+      videos: pageVideos,
+      nextCursor: hasMore ? encodeCursor(sort, pageVideos[pageVideos.length - 1]) : null
+    };
+
+    // Totals and search history only on the first page
+    if (!cursor) {
+      response.total = await Video.countDocuments(query);
+
+      if (req.user && search) {
+        User.recordSearch(req.user._id, search.trim().slice(0, 100))
+          .catch((error) => console.error('Record search error:', error));
+      }
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('Get videos error:', error);
     res.status(500).json({ message: 'Error fetching videos' });
   }
 });
 
-// Get single video
-router.get('/:id', async (req, res) => {
+// Most used tags on public videos, with how many videos carry each
+router.get('/tags/popular', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const tags = await Video.aggregate([
+      { $match: { visibility: 'public' } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    res.json({ tags: tags.map((tag) => ({ name: tag._id, count: tag.count })) });
+  } catch (error) {
+    console.error('Get popular tags error:', error);
+    res.status(500).json({ message: 'Error fetching tags' });
+  }
+});
+
+// Suggestions while typing in the search box: titles, tags, channels and recent searches
+router.get('/search/suggestions', optionalAuth, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().slice(0, 100);
+    const recent = (req.user?.recentSearches || [])
+      .map((entry) => entry.query)
+      .filter((query) => query.toLowerCase().startsWith(q.toLowerCase()))
+      .slice(0, SUGGESTION_LIMIT);
+
+    if (!q) {
+      return res.json({ titles: [], tags: [], channels: [], recent });
+    }
+
+    // Match the start of any word in the title, the start of tags and usernames
+    const wordPrefix = new RegExp(`(^|\\s)${escapeRegex(q)}`, 'i');
+    const prefix = new RegExp(`^${escapeRegex(q)}`, 'i');
+    const tagPrefix = new RegExp(`^${escapeRegex(normalizeTags([q])[0] || '')}`);
+
+    const [titleMatches, tags, channels] = await Promise.all([
+      Video.find({ visibility: 'public', title: wordPrefix })
+        .sort({ views: -1 })
+        .limit(SUGGESTION_LIMIT)
+        .select('title'),
+      Video.aggregate([
+        { $match: { visibility: 'public', tags: tagPrefix } },
+        { $unwind: '$tags' },
+        { $match: { tags: tagPrefix } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: SUGGESTION_LIMIT }
+      ]),
+      User.find({ username: prefix })
+        .sort({ subscriberCount: -1 })
+        .limit(3)
+        .select('username avatar')
+    ]);
+
+    res.json({
+      titles: [...new Set(titleMatches.map((video) => video.title))],
+      tags: tags.map((tag) => tag._id),
+      channels: channels.map((channel) => ({ username: channel.username, avatar: channel.avatar })),
+      recent
+    });
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({ message: 'Error fetching suggestions' });
+  }
+});
+
+// Forget one recent search (?q=...) or all of them
+router.delete('/search/recent', auth, async (req, res) => {
+  try {
+    const update = req.query.q
+      ? { $pull: { recentSearches: { query: req.query.q } } }
+      : { $set: { recentSearches: [] } };
+
+    await User.updateOne({ _id: req.user._id }, update);
+
+    res.json({ message: 'Recent searches updated' });
+  } catch (error) {
+    console.error('Clear recent searches error:', error);
+    res.status(500).json({ message: 'Error updating recent searches' });
+  }
+});
+
+// Videos to watch next: related public videos, best match first
+router.get('/:id/related', optionalAuth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), 30);
+
+    const video = mongoose.isValidObjectId(req.params.id) &&
+      await Video.findById(req.params.id).select('title tags uploader visibility');
+
+    if (!video || !video.isViewableBy(req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const videos = await findRelated(video, { limit });
+
+    res.json({ videos });
+  } catch (error) {
+    console.error('Get related videos error:', error);
+    res.status(500).json({ message: 'Error fetching related videos' });
+  }
+});
+
+// Get processing status of a video
+router.get('/:id/status', optionalAuth, async (req, res) => {
   try {
     const video = await Video.findById(req.params.id)
-      .populate('uploader', 'username avatar bio');
+      .select('uploader visibility processingStatus processingError duration thumbnailUrl media hls');
 
-    if (!video) {
+    if (!video || !video.isViewableBy(req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
 
-    // Increment view count
-    video.views += 1;
-    await video.save();
+    res.json({
+      processingStatus: video.processingStatus,
+      processingError: video.processingError,
+      duration: video.duration,
+      thumbnailUrl: video.thumbnailUrl,
+      media: video.media,
+      hls: withMediaAccess(video).hls
+    });
+  } catch (error) {
+    console.error('Get video status error:', error);
+    res.status(500).json({ message: 'Error fetching video status' });
+  }
+});
 
-    res.json(video);
+// Get single video
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id)
+      .populate('uploader', 'username avatar bio subscriberCount');
+
+    // Private videos look the same as missing ones to everyone but the owner
+    if (!video || !video.isViewableBy(req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    res.json(withMediaAccess(video));
   } catch (error) {
     console.error('Get video error:', error);
     res.status(500).json({ message: 'Error fetching video' });
   }
 });
 
+// Count a view once real playback has happened; called by the player
+router.post('/:id/view', optionalAuth, async (req, res) => {
+  try {
+    if (isBot(req)) {
+      return res.json({ counted: false });
+    }
+
+    if (!(Number(req.body.watchedSeconds) >= MIN_VIEW_SECONDS)) {
+      return res.status(400).json({ message: `At least ${MIN_VIEW_SECONDS} seconds must be watched` });
+    }
+
+    const video = mongoose.isValidObjectId(req.params.id) && await Video.findById(req.params.id).select('uploader visibility views');
+
+    if (!video || !video.isViewableBy(req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const viewer = viewerKey(req);
+    const session = sessionKey(req);
+
+    // Both markers must be new, so neither a new session id nor a new address alone counts again
+    const [newViewer, newSession] = await Promise.all([
+      VideoView.claim(video._id, viewer),
+      session ? VideoView.claim(video._id, session) : true
+    ]);
+
+    if (!newViewer || !newSession) {
+      return res.json({ counted: false, views: video.views });
+    }
+
+    // Atomic so concurrent views are never lost
+    const updated = await Video.findByIdAndUpdate(
+      video._id,
+      { $inc: { views: 1 } },
+      { new: true, projection: { views: 1 } }
+    );
+
+    await recordView(video, viewer);
+
+    res.json({ counted: true, views: updated.views });
+  } catch (error) {
+    console.error('Record view error:', error);
+    res.status(500).json({ message: 'Error recording view' });
+  }
+});
+
+// Get videos from subscribed channels
+router.get('/feed/subscriptions', auth, async (req, res) => {
+  try {
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit);
+    const query = {
+      uploader: { $in: req.user.subscriptions },
+      visibility: 'public'
+    };
+
+    const videos = await Video.find(query)
+      .populate('uploader', 'username avatar')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await Video.countDocuments(query);
+
+    res.json({
+      videos,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Get subscription feed error:', error);
+    res.status(500).json({ message: 'Error fetching subscription feed' });
+  }
+});
+
 // Get user's videos
 router.get('/user/my-videos', auth, async (req, res) => {
   try {
-    const videos = await Video.find({ uploader: req.user._id })
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const query = { uploader: req.user._id };
+
+    const after = cursor && afterCursor(cursor, 'date');
+    if (cursor && !after) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const videos = await Video.find(after ? { ...query, ...after } : query)
       .populate('uploader', 'username avatar')
-      .sort({ createdAt: -1 });
+      .sort(listSorts.date)
+      .limit(limit + 1);
 
-    res.json(videos);
+    const hasMore = videos.length > limit;
+    const pageVideos = videos.slice(0, limit);
+
+    const response = {
+      videos: pageVideos,
+      nextCursor: hasMore ? encodeCursor('date', pageVideos[pageVideos.length - 1]) : null
+    };
+
+    // Channel totals for the profile header, on the first page only
+    if (!cursor) {
+      const [totals] = await Video.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: null,
+            totalVideos: { $sum: 1 },
+            totalViews: { $sum: '$views' },
+            totalLikes: { $sum: { $size: '$likes' } }
+          }
+        }
+      ]);
+      response.stats = {
+        totalVideos: totals?.totalVideos || 0,
+        totalViews: totals?.totalViews || 0,
+        totalLikes: totals?.totalLikes || 0
+      };
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('Get user videos error:', error);
     res.status(500).json({ message: 'Error fetching user videos' });
@@ -285,18 +988,39 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this video' });
     }
 
-    // Delete from Cloudinary only if it's a Cloudinary-hosted video
-    if (video.videoUrl.includes('cloudinary.com')) {
+    // Delete the stored file only for uploads; linked videos live elsewhere
+    const driver = video.storageDriver || (video.videoUrl.includes('cloudinary.com') ? 'cloudinary' : null);
+    if (driver) {
+      try {
+        await getStorage(driver).delete(video.cloudinaryId, { kind: 'video' });
+      } catch (storageError) {
+        console.error('Storage deletion error:', storageError);
+        // Continue with database deletion even if storage deletion fails
+      }
+    }
+
+    if (video.hls?.key && video.hls.storageDriver) {
+      try {
+        await getStorage(video.hls.storageDriver).deleteDirectory(video.hls.key);
+      } catch (storageError) {
+        console.error('HLS deletion error:', storageError);
+      }
+    }
+
+    if (video.thumbnailKey && video.thumbnailStorageDriver) {
       try {
-        await cloudinary.uploader.destroy(video.cloudinaryId, { resource_type: 'video' });
-      } catch (cloudinaryError) {
-        console.error('Cloudinary deletion error:', cloudinaryError);
-        // Continue with database deletion even if Cloudinary deletion fails
+        await getStorage(video.thumbnailStorageDriver).delete(video.thumbnailKey, { kind: 'image' });
+      } catch (storageError) {
+        console.error('Thumbnail deletion error:', storageError);
       }
     }
 
     // Remove from database
     await Video.findByIdAndDelete(req.params.id);
+    await Comment.deleteMany({ video: req.params.id });
+    await Playlist.updateMany({ videos: req.params.id }, { $pull: { videos: req.params.id } });
+    await WatchHistory.deleteMany({ video: req.params.id });
+    await VideoStat.deleteMany({ video: req.params.id });
 
     // Remove from user's videos array
     await User.findByIdAndUpdate(
@@ -311,12 +1035,112 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// Update video details (owner only)
+router.patch('/:id', auth, imageUpload.single('thumbnail'), async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    if (video.uploader.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this video' });
+    }
+
+    const { title, description, tags, category, visibility } = req.body;
+
+    if (title !== undefined) video.title = title;
+    if (description !== undefined) video.description = description;
+    if (tags !== undefined) video.tags = parseTags(tags);
+    if (category !== undefined) video.category = category;
+
+    if (visibility !== undefined) {
+      if (!visibilityLevels.includes(visibility)) {
+        return res.status(400).json({ message: 'Invalid visibility' });
+      }
+      video.visibility = visibility;
+    }
+
+    // Run the schema validators before anything is uploaded
+    try {
+      await video.validate();
+    } catch (validationError) {
+      const [firstError] = Object.values(validationError.errors || {});
+      return res.status(400).json({ message: firstError?.message || 'Invalid video details' });
+    }
+
+    const previousThumbnail = { key: video.thumbnailKey, driver: video.thumbnailStorageDriver };
+
+    if (req.file) {
+      const storage = getStorage();
+      const stored = await storage.store(req.file.path, {
+        kind: 'image',
+        originalName: req.file.originalname
+      });
+
+      video.thumbnailUrl = stored.url;
+      video.thumbnailKey = stored.key;
+      video.thumbnailStorageDriver = storage.name;
+    }
+
+    await video.save();
+
+    // Clean up the old custom thumbnail once the new one is saved
+    if (req.file && previousThumbnail.key && previousThumbnail.driver) {
+      try {
+        await getStorage(previousThumbnail.driver).delete(previousThumbnail.key, { kind: 'image' });
+      } catch (storageError) {
+        console.error('Thumbnail deletion error:', storageError);
+      }
+    }
+
+    await video.populate('uploader', 'username avatar bio subscriberCount');
+
+    res.json(video);
+  } catch (error) {
+    console.error('Update video error:', error);
+    res.status(500).json({ message: 'Error updating video' });
+  } finally {
+    await removeTempUpload(req.file);
+  }
+});
+
+// Change video visibility (owner only)
+router.patch('/:id/visibility', auth, async (req, res) => {
+  try {
+    const { visibility } = req.body;
+
+    if (!visibilityLevels.includes(visibility)) {
+      return res.status(400).json({ message: 'Invalid visibility' });
+    }
+
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    if (video.uploader.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this video' });
+    }
+
+    video.visibility = visibility;
+    await video.save();
+
+    res.json({ visibility: video.visibility });
+  } catch (error) {
+    console.error('Update visibility error:', error);
+    res.status(500).json({ message: 'Error updating visibility' });
+  }
+});
+
 // Like/Unlike video
 router.post('/:id/like', auth, async (req, res) => {
   try {
     const video = await Video.findById(req.params.id);
 
-    if (!video) {
+    if (!video || !video.isViewableBy(req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
 
@@ -329,6 +1153,7 @@ router.post('/:id/like', auth, async (req, res) => {
     }
 
     await video.save();
+    await recordLike(video, userLiked ? -1 : 1);
 
     res.json({
       liked: !userLiked,
@@ -3,13 +3,34 @@ import mongoose from 'mongoose';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
+import oidcRoutes from './routes/oidc.js';
 import videoRoutes from './routes/videos.js';
+import commentRoutes from './routes/comments.js';
+import mediaRoutes from './routes/media.js';
+import userRoutes from './routes/users.js';
+import playlistRoutes from './routes/playlists.js';
+import historyRoutes from './routes/history.js';
+import analyticsRoutes from './routes/analytics.js';
+import User from './models/User.js';
+import Video from './models/Video.js';
+import UploadSession from './models/UploadSession.js';
+import { resumeProcessing } from './processing/index.js';
+import { recomputeTrending } from './recommendations/index.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Which proxies may set X-Forwarded-For, and so req.ip: off unless TRUST_PROXY names them,
+// as a hop count (1 behind a single reverse proxy) or a list of addresses and subnets.
+// Trusting a proxy that isn't there lets clients pick their own address.
+const trustProxy = (value = '') => {
+  if (value === '' || value === 'false') return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors({
   origin: 'https://vid-share.onrender.com', // Adjust this to your frontend URL
@@ -19,15 +40,40 @@ app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Routes
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/videos/:id/comments', commentRoutes);
 app.use('/api/videos', videoRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/videoshare', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(async () => {
+  console.log('MongoDB connected successfully');
+  await Video.migrateVisibility();
+  await Video.migrateTags();
+  await User.migrateEmailVerified();
+  await resumeProcessing();
+
+  // Clean up abandoned resumable uploads
+  await UploadSession.removeExpired();
+  setInterval(() => {
+    UploadSession.removeExpired().catch((err) => console.error('Upload cleanup error:', err));
+  }, 60 * 60 * 1000);
+
+  // Refresh trending scores rather than ranking on every request
+  await recomputeTrending();
+  setInterval(() => {
+    recomputeTrending().catch((err) => console.error('Trending update error:', err));
+  }, 15 * 60 * 1000);
+})
 .catch((err) => console.error('MongoDB connection error:', err));
 
 // Health check endpoint
@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v2 as cloudinary } from 'cloudinary';
+
+const FOLDER = 'video-sharing-platform';
+
+// Resource type Cloudinary expects for each kind of asset we store
+const resourceTypes = {
+  video: 'video',
+  image: 'image',
+  raw: 'raw'
+};
+
+const createCloudinaryStorage = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+
+  return {
+    name: 'cloudinary',
+
+    // Upload a local file and remove it once Cloudinary has it. A failed upload
+    // leaves the file in place, so the caller can retry or clean it up.
+    async store(filePath, { kind = 'video' } = {}) {
+      const resourceType = resourceTypes[kind] || 'raw';
+
+      const result = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_large(
+          filePath,
+          { folder: FOLDER, resource_type: resourceType },
+          (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+        );
+      });
+
+      await fs.rm(filePath, { force: true });
+      return { key: result.public_id, url: result.secure_url };
+    },
+
+    // Upload every file in a directory as raw assets under one prefix, so
+    // relative references between them (like HLS playlists) keep working
+    async storeDirectory(dirPath, prefix) {
+      const entries = await fs.readdir(dirPath, { recursive: true, withFileTypes: true });
+
+      try {
+        for (const entry of entries.filter(item => item.isFile())) {
+          const filePath = path.join(entry.parentPath || entry.path, entry.name);
+          const relativePath = path.relative(dirPath, filePath).split(path.sep).join('/');
+
+          await cloudinary.uploader.upload(filePath, {
+            resource_type: 'raw',
+            public_id: `${FOLDER}/${prefix}/${relativePath}`,
+            overwrite: true
+          });
+        }
+      } finally {
+        await fs.rm(dirPath, { recursive: true, force: true });
+      }
+
+      return {
+        key: prefix,
+        url: cloudinary.url(`${FOLDER}/${prefix}`, { resource_type: 'raw', secure: true })
+      };
+    },
+
+    // Cloudinary serves its own media, so just point the client at it
+    async stream(key, req, res, { kind = 'video' } = {}) {
+      res.redirect(cloudinary.url(key, {
+        resource_type: resourceTypes[kind] || 'raw',
+        secure: true
+      }));
+    },
+
+    // URL ffmpeg can read the stored file from
+    source(key, { kind = 'video' } = {}) {
+      return cloudinary.url(key, {
+        resource_type: resourceTypes[kind] || 'raw',
+        secure: true
+      });
+    },
+
+    async delete(key, { kind = 'video' } = {}) {
+      await cloudinary.uploader.destroy(key, {
+        resource_type: resourceTypes[kind] || 'raw'
+      });
+    },
+
+    async deleteDirectory(prefix) {
+      await cloudinary.api.delete_resources_by_prefix(`${FOLDER}/${prefix}/`, {
+        resource_type: 'raw'
+      });
+    },
+
+    // First frame of the video, rendered as a JPEG by Cloudinary
+    thumbnailUrl(key) {
+      return cloudinary.url(key, {
+        resource_type: 'video',
+        format: 'jpg',
+        secure: true,
+        transformation: [{ start_offset: 0 }]
+      });
+    }
+  };
+};
+
+export default createCloudinaryStorage;
@@ -0,0 +1,32 @@
+import createCloudinaryStorage from './cloudinaryStorage.js';
+import createLocalStorage from './localStorage.js';
+
+const factories = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage
+};
+
+const instances = {};
+
+// Name of the configured driver. Falls back to local disk when Cloudinary isn't set up.
+export const defaultDriver = () => {
+  if (process.env.STORAGE_DRIVER) {
+    return process.env.STORAGE_DRIVER;
+  }
+  return process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+};
+
+// Get a storage adapter by name, or the configured one when no name is given
+const getStorage = (name = defaultDriver()) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factory();
+  }
+  return instances[name];
+};
+
+export default getStorage;
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { pipeline } from 'stream';
+import crypto from 'crypto';
+
+// Content types for the files the local adapter serves
+const contentTypes = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.wmv': 'video/x-ms-wmv',
+  '.flv': 'video/x-flv',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// Send a file stream as the response. A read error ends the response rather than
+// going unhandled; a client closing the connection early isn't worth logging.
+const sendFile = (readStream, res) => {
+  pipeline(readStream, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Media read error:', error);
+    }
+  });
+};
+
+const createLocalStorage = () => {
+  const rootDir = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+  const publicUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  // Resolve a key inside the upload directory, refusing anything that escapes it
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      return null;
+    }
+    return filePath;
+  };
+
+  const urlFor = (key) => `${publicUrl}/api/media/${key}`;
+
+  return {
+    name: 'local',
+
+    // Move a local file into the upload directory under a fresh key
+    async store(filePath, { kind = 'video', originalName = '' } = {}) {
+      const ext = path.extname(originalName || filePath).toLowerCase();
+      const key = `${kind}s/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+      const destination = resolveKey(key);
+
+      await fsp.mkdir(path.dirname(destination), { recursive: true });
+
+      try {
+        await fsp.rename(filePath, destination);
+      } catch (error) {
+        // Temp files may live on another device, where rename is not allowed
+        if (error.code !== 'EXDEV') throw error;
+        await fsp.copyFile(filePath, destination);
+        await fsp.rm(filePath, { force: true });
+      }
+
+      return { key, url: urlFor(key) };
+    },
+
+    // Move a whole directory in under a prefix, keeping relative paths intact
+    async storeDirectory(dirPath, prefix) {
+      const destination = resolveKey(prefix);
+
+      await fsp.rm(destination, { recursive: true, force: true });
+      await fsp.mkdir(path.dirname(destination), { recursive: true });
+
+      try {
+        await fsp.rename(dirPath, destination);
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fsp.cp(dirPath, destination, { recursive: true });
+        await fsp.rm(dirPath, { recursive: true, force: true });
+      }
+
+      return { key: prefix, url: urlFor(prefix) };
+    },
+
+    // Serve a stored file, honouring Range requests so video can seek
+    async stream(key, req, res) {
+      const filePath = resolveKey(key);
+      if (!filePath) {
+        return res.status(400).json({ message: 'Invalid media key' });
+      }
+
+      let stats;
+      try {
+        stats = await fsp.stat(filePath);
+      } catch {
+        return res.status(404).json({ message: 'Media not found' });
+      }
+
+      // Directories like videos/ or hls/ exist too, but only files are media
+      if (!stats.isFile()) {
+        return res.status(404).json({ message: 'Media not found' });
+      }
+
+      const contentType = contentTypes[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+      const range = req.headers.range;
+
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('Content-Type', contentType);
+
+      if (!range) {
+        res.setHeader('Content-Length', stats.size);
+        return sendFile(fs.createReadStream(filePath), res);
+      }
+
+      const [startText, endText] = range.replace(/bytes=/, '').split(',')[0].trim().split('-');
+      let start;
+      let end;
+
+      if (startText === '') {
+        // Suffix range: the last N bytes
+        const suffixLength = parseInt(endText, 10);
+        start = suffixLength > 0 ? Math.max(stats.size - suffixLength, 0) : NaN;
+        end = stats.size - 1;
+      } else {
+        start = parseInt(startText, 10);
+        // An end past the file is clamped to its last byte (RFC 7233)
+        end = endText ? Math.min(parseInt(endText, 10), stats.size - 1) : stats.size - 1;
+      }
+
+      if (Number.isNaN(start) || Number.isNaN(end) || start > end || start >= stats.size) {
+        res.setHeader('Content-Range', `bytes */${stats.size}`);
+        return res.status(416).end();
+      }
+
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+      res.setHeader('Content-Length', end - start + 1);
+      sendFile(fs.createReadStream(filePath, { start, end }), res);
+    },
+
+    // Path ffmpeg can read the stored file from
+    source(key) {
+      return resolveKey(key);
+    },
+
+    async delete(key) {
+      const filePath = resolveKey(key);
+      if (filePath) {
+        await fsp.rm(filePath, { force: true });
+      }
+    },
+
+    async deleteDirectory(prefix) {
+      const dirPath = resolveKey(prefix);
+      if (dirPath) {
+        await fsp.rm(dirPath, { recursive: true, force: true });
+      }
+    },
+
+    // No transcoding service locally, so there is no derived thumbnail
+    thumbnailUrl() {
+      return null;
+    }
+  };
+};
+
+export default createLocalStorage;
@@ -5,9 +5,20 @@ import Navbar from './components/Navbar';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Upload from './pages/Upload';
 import VideoPlayer from './pages/VideoPlayer';
 import Profile from './pages/Profile';
+import Subscriptions from './pages/Subscriptions';
+import Channel from './pages/Channel';
+import Playlist from './pages/Playlist';
+import Tag from './pages/Tag';
+import History from './pages/History';
+import Analytics from './pages/Analytics';
+import Sessions from './pages/Sessions';
+import TwoFactor from './pages/TwoFactor';
 import ProtectedRoute from './components/ProtectedRoute';
 
 function App() {
@@ -21,7 +32,13 @@ function App() {
               <Route path="/" element={<Home />} />
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
               <Route path="/video/:id" element={<VideoPlayer />} />
+              <Route path="/channel/:username" element={<Channel />} />
+              <Route path="/playlist/:id" element={<Playlist />} />
+              <Route path="/tag/:name" element={<Tag />} />
               <Route 
                 path="/upload" 
                 element={
@@ -30,6 +47,46 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/feed/subscriptions" 
+                element={
+                  <ProtectedRoute>
+                    <Subscriptions />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/history" 
+                element={
+                  <ProtectedRoute>
+                    <History />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/analytics" 
+                element={
+                  <ProtectedRoute>
+                    <Analytics />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/sessions" 
+                element={
+                  <ProtectedRoute>
+                    <Sessions />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/two-factor" 
+                element={
+                  <ProtectedRoute>
+                    <TwoFactor />
+                  </ProtectedRoute>
+                } 
+              />
               <Route 
                 path="/profile" 
                 element={
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Loader, Lock, Link as LinkIcon } from 'lucide-react';
+import axios from 'axios';
+
+const inputClassName = 'w-full px-4 py-3 bg-slate-700/50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+const AddToPlaylistDialog = ({ videoId, onClose }) => {
+  const [playlists, setPlaylists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [newPlaylist, setNewPlaylist] = useState({ title: '', visibility: 'public' });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchPlaylists();
+  }, [videoId]);
+
+  const fetchPlaylists = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('https://vid-share-backend.onrender.com/api/playlists/mine', {
+        params: { video: videoId }
+      });
+      setPlaylists(response.data);
+    } catch (error) {
+      console.error('Error fetching playlists:', error);
+      setError('Failed to load your playlists');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replacePlaylist = (updated) => {
+    setPlaylists((prev) => prev.map((playlist) => (playlist._id === updated._id ? updated : playlist)));
+  };
+
+  const handleToggle = async (playlist) => {
+    try {
+      setUpdating(playlist._id);
+      setError('');
+      const response = playlist.containsVideo
+        ? await axios.delete(`https://vid-share-backend.onrender.com/api/playlists/${playlist._id}/videos/${videoId}`)
+        : await axios.post(`https://vid-share-backend.onrender.com/api/playlists/${playlist._id}/videos`, { videoId });
+      replacePlaylist(response.data);
+    } catch (error) {
+      console.error('Error updating playlist:', error);
+      setError(error.response?.data?.message || 'Failed to update playlist');
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newPlaylist.title.trim()) return;
+
+    try {
+      setCreating(true);
+      setError('');
+      const response = await axios.post('https://vid-share-backend.onrender.com/api/playlists', {
+        ...newPlaylist,
+        videoId
+      });
+      setPlaylists((prev) => [response.data, ...prev]);
+      setNewPlaylist({ title: '', visibility: 'public' });
+    } catch (error) {
+      console.error('Error creating playlist:', error);
+      setError(error.response?.data?.message || 'Failed to create playlist');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 px-4">
+      <div className="w-full max-w-md max-h-[90vh] overflow-y-auto bg-slate-900 rounded-xl border border-slate-700/50 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-white">Save to playlist</h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-white transition-colors"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader className="h-6 w-6 animate-spin text-blue-500" />
+          </div>
+        ) : playlists.length > 0 ? (
+          <div className="space-y-2 mb-6">
+            {playlists.map((playlist) => (
+              <label
+                key={playlist._id}
+                className="flex items-center justify-between p-3 rounded-lg hover:bg-slate-800 cursor-pointer transition-colors"
+              >
+                <div className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(playlist.containsVideo)}
+                    disabled={updating === playlist._id}
+                    onChange={() => handleToggle(playlist)}
+                    className="h-4 w-4 accent-blue-500"
+                  />
+                  <span className="text-white">{playlist.title}</span>
+                </div>
+                <div className="flex items-center space-x-2 text-slate-400 text-sm">
+                  {playlist.visibility === 'private' && <Lock className="h-4 w-4" />}
+                  {playlist.visibility === 'unlisted' && <LinkIcon className="h-4 w-4" />}
+                  <span>{playlist.videoCount}</span>
+                </div>
+              </label>
+            ))}
+          </div>
+        ) : (
+          <p className="text-slate-400 text-center py-4 mb-6">You don't have any playlists yet.</p>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-3 pt-6 border-t border-slate-700">
+          <h3 className="text-sm font-medium text-slate-300">New playlist</h3>
+          <input
+            type="text"
+            value={newPlaylist.title}
+            onChange={(e) => setNewPlaylist({ ...newPlaylist, title: e.target.value })}
+            placeholder="Playlist title"
+            maxLength={150}
+            className={inputClassName}
+          />
+          <select
+            value={newPlaylist.visibility}
+            onChange={(e) => setNewPlaylist({ ...newPlaylist, visibility: e.target.value })}
+            className={inputClassName}
+          >
+            <option value="public">Public</option>
+            <option value="unlisted">Unlisted</option>
+            <option value="private">Private</option>
+          </select>
+          <button
+            type="submit"
+            disabled={creating || !newPlaylist.title.trim()}
+            className="w-full flex items-center justify-center px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white rounded-lg transition-colors"
+          >
+            {creating ? (
+              <Loader className="h-4 w-4 animate-spin" />
+            ) : (
+              <>
+                <Plus className="h-4 w-4 mr-2" />
+                Create and add
+              </>
+            )}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AddToPlaylistDialog;
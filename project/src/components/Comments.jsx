@@ -0,0 +1,392 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { MessageSquare, Reply, Pencil, Trash2, Loader, ChevronDown } from 'lucide-react';
+import axios from 'axios';
+
+const timeAgo = (date) => {
+  const diffInSeconds = Math.floor((new Date() - new Date(date)) / 1000);
+
+  const intervals = [
+    { label: 'year', seconds: 31536000 },
+    { label: 'month', seconds: 2592000 },
+    { label: 'week', seconds: 604800 },
+    { label: 'day', seconds: 86400 },
+    { label: 'hour', seconds: 3600 },
+    { label: 'minute', seconds: 60 }
+  ];
+
+  for (const interval of intervals) {
+    const count = Math.floor(diffInSeconds / interval.seconds);
+    if (count >= 1) {
+      return `${count} ${interval.label}${count > 1 ? 's' : ''} ago`;
+    }
+  }
+
+  return 'Just now';
+};
+
+const CommentForm = ({ initialValue = '', placeholder, submitLabel, onSubmit, onCancel }) => {
+  const [body, setBody] = useState(initialValue);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSubmitting(true);
+    const success = await onSubmit(body.trim());
+    setSubmitting(false);
+
+    if (success && !initialValue) {
+      setBody('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={2}
+        maxLength={2000}
+        placeholder={placeholder}
+        className="w-full px-4 py-3 bg-slate-700/50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all resize-none"
+      />
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-slate-300 hover:text-white transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={submitting || !body.trim()}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white rounded-lg transition-colors"
+        >
+          {submitting ? <Loader className="h-4 w-4 animate-spin" /> : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CommentItem = ({ comment, videoId, videoOwnerId, onReply, onUpdate, isReply }) => {
+  const { user } = useAuth();
+  const [editing, setEditing] = useState(false);
+  const [replying, setReplying] = useState(false);
+  const [replies, setReplies] = useState([]);
+  const [repliesCursor, setRepliesCursor] = useState(null);
+  const [repliesLoaded, setRepliesLoaded] = useState(false);
+  const [loadingReplies, setLoadingReplies] = useState(false);
+
+  const isDeleted = Boolean(comment.deletedAt);
+  const isAuthor = user && comment.author && user.id === comment.author._id;
+  const isVideoOwner = user && user.id === videoOwnerId;
+
+  const fetchReplies = async (cursor) => {
+    try {
+      setLoadingReplies(true);
+      const response = await axios.get(`https://vid-share-backend.onrender.com/api/videos/${videoId}/comments/${comment._id}/replies`, {
+        params: { cursor }
+      });
+      setReplies((prev) => (cursor ? [...prev, ...response.data.comments] : response.data.comments));
+      setRepliesCursor(response.data.nextCursor);
+      setRepliesLoaded(true);
+    } catch (error) {
+      console.error('Error fetching replies:', error);
+    } finally {
+      setLoadingReplies(false);
+    }
+  };
+
+  const handleEdit = async (body) => {
+    try {
+      const response = await axios.patch(`https://vid-share-backend.onrender.com/api/videos/${videoId}/comments/${comment._id}`, { body });
+      onUpdate(response.data);
+      setEditing(false);
+      return true;
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      return false;
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this comment?')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`https://vid-share-backend.onrender.com/api/videos/${videoId}/comments/${comment._id}`);
+      onUpdate({ ...comment, deletedAt: new Date().toISOString(), body: '', author: null });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+    }
+  };
+
+  const handleReply = async (body) => {
+    const reply = await onReply(body, comment._id);
+    if (!reply) return false;
+
+    setReplies((prev) => [...prev, reply]);
+    setRepliesLoaded(true);
+    setReplying(false);
+    return true;
+  };
+
+  const updateReply = (updated) => {
+    setReplies((prev) => prev.map((reply) => (reply._id === updated._id ? updated : reply)));
+  };
+
+  return (
+    <div className="flex space-x-3">
+      <div className={`${isReply ? 'w-8 h-8 text-sm' : 'w-10 h-10'} flex-shrink-0 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-white font-semibold`}>
+        {comment.author?.username?.[0]?.toUpperCase() || '?'}
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center space-x-2 text-sm">
+          <span className="text-white font-medium">
+            {comment.author?.username || 'Deleted comment'}
+          </span>
+          <span className="text-slate-500">{timeAgo(comment.createdAt)}</span>
+          {comment.editedAt && !isDeleted && (
+            <span className="text-slate-500">(edited)</span>
+          )}
+        </div>
+
+        {editing ? (
+          <div className="mt-2">
+            <CommentForm
+              initialValue={comment.body}
+              submitLabel="Save"
+              onSubmit={handleEdit}
+              onCancel={() => setEditing(false)}
+            />
+          </div>
+        ) : (
+          <p className={`mt-1 whitespace-pre-wrap break-words ${isDeleted ? 'text-slate-500 italic' : 'text-slate-300'}`}>
+            {isDeleted ? 'This comment was deleted.' : comment.body}
+          </p>
+        )}
+
+        {!isDeleted && !editing && (
+          <div className="mt-2 flex items-center space-x-4 text-sm text-slate-400">
+            {user && !isReply && (
+              <button
+                onClick={() => setReplying(!replying)}
+                className="flex items-center space-x-1 hover:text-white transition-colors"
+              >
+                <Reply className="h-4 w-4" />
+                <span>Reply</span>
+              </button>
+            )}
+            {isAuthor && (
+              <button
+                onClick={() => setEditing(true)}
+                className="flex items-center space-x-1 hover:text-white transition-colors"
+              >
+                <Pencil className="h-4 w-4" />
+                <span>Edit</span>
+              </button>
+            )}
+            {(isAuthor || isVideoOwner) && (
+              <button
+                onClick={handleDelete}
+                className="flex items-center space-x-1 hover:text-red-400 transition-colors"
+              >
+                <Trash2 className="h-4 w-4" />
+                <span>Delete</span>
+              </button>
+            )}
+          </div>
+        )}
+
+        {replying && (
+          <div className="mt-3">
+            <CommentForm
+              placeholder="Write a reply..."
+              submitLabel="Reply"
+              onSubmit={handleReply}
+              onCancel={() => setReplying(false)}
+            />
+          </div>
+        )}
+
+        {!isReply && comment.replyCount > 0 && !repliesLoaded && (
+          <button
+            onClick={() => fetchReplies()}
+            disabled={loadingReplies}
+            className="mt-2 flex items-center space-x-1 text-sm text-blue-400 hover:text-blue-300 transition-colors"
+          >
+            <ChevronDown className="h-4 w-4" />
+            <span>
+              {loadingReplies
+                ? 'Loading...'
+                : `View ${comment.replyCount} repl${comment.replyCount !== 1 ? 'ies' : 'y'}`}
+            </span>
+          </button>
+        )}
+
+        {replies.length > 0 && (
+          <div className="mt-4 space-y-4">
+            {replies.map((reply) => (
+              <CommentItem
+                key={reply._id}
+                comment={reply}
+                videoId={videoId}
+                videoOwnerId={videoOwnerId}
+                onUpdate={updateReply}
+                isReply
+              />
+            ))}
+            {repliesCursor && (
+              <button
+                onClick={() => fetchReplies(repliesCursor)}
+                disabled={loadingReplies}
+                className="text-sm text-blue-400 hover:text-blue-300 transition-colors"
+              >
+                {loadingReplies ? 'Loading...' : 'Show more replies'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const Comments = ({ videoId, videoOwnerId }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchComments();
+  }, [videoId]);
+
+  const fetchComments = async (cursor) => {
+    try {
+      cursor ? setLoadingMore(true) : setLoading(true);
+      const response = await axios.get(`https://vid-share-backend.onrender.com/api/videos/${videoId}/comments`, {
+        params: { cursor }
+      });
+      setComments((prev) => (cursor ? [...prev, ...response.data.comments] : response.data.comments));
+      setNextCursor(response.data.nextCursor);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  const postComment = async (body, parentId) => {
+    try {
+      setError('');
+      const response = await axios.post(`https://vid-share-backend.onrender.com/api/videos/${videoId}/comments`, { body, parentId });
+      return response.data;
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      setError(error.response?.data?.message || 'Failed to post comment');
+      return null;
+    }
+  };
+
+  const handleNewComment = async (body) => {
+    const comment = await postComment(body);
+    if (!comment) return false;
+
+    setComments((prev) => [comment, ...prev]);
+    return true;
+  };
+
+  const handleReply = async (body, parentId) => {
+    const reply = await postComment(body, parentId);
+    if (reply) {
+      setComments((prev) => prev.map((comment) => (
+        comment._id === parentId ? { ...comment, replyCount: comment.replyCount + 1 } : comment
+      )));
+    }
+    return reply;
+  };
+
+  const updateComment = (updated) => {
+    setComments((prev) => prev.map((comment) => (
+      comment._id === updated._id ? { ...updated, replyCount: comment.replyCount } : comment
+    )));
+  };
+
+  return (
+    <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-6">
+      <div className="flex items-center space-x-2 mb-6">
+        <MessageSquare className="h-5 w-5 text-slate-400" />
+        <h3 className="text-lg font-semibold text-white">Comments</h3>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+          <p className="text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      {user ? (
+        <div className="mb-6">
+          <CommentForm
+            placeholder="Add a comment..."
+            submitLabel="Comment"
+            onSubmit={handleNewComment}
+          />
+        </div>
+      ) : (
+        <p className="mb-6 text-slate-400">
+          <Link to="/login" className="text-blue-400 hover:text-blue-300 font-medium transition-colors">
+            Sign in
+          </Link>{' '}
+          to join the conversation.
+        </p>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader className="h-6 w-6 animate-spin text-blue-500" />
+        </div>
+      ) : comments.length > 0 ? (
+        <div className="space-y-6">
+          {comments.map((comment) => (
+            <CommentItem
+              key={comment._id}
+              comment={comment}
+              videoId={videoId}
+              videoOwnerId={videoOwnerId}
+              onReply={handleReply}
+              onUpdate={updateComment}
+            />
+          ))}
+
+          {nextCursor && (
+            <button
+              onClick={() => fetchComments(nextCursor)}
+              disabled={loadingMore}
+              className="w-full py-2 text-blue-400 hover:text-blue-300 transition-colors"
+            >
+              {loadingMore ? 'Loading...' : 'Load more comments'}
+            </button>
+          )}
+        </div>
+      ) : (
+        <p className="text-slate-400 text-center py-6">No comments yet. Be the first!</p>
+      )}
+    </div>
+  );
+};
+
+export default Comments;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// Thumbnail-beside-title card for narrow lists such as the watch page sidebar
+const CompactVideoCard = ({ video }) => {
+  const formatDuration = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  };
+
+  const formatViews = (views) => {
+    if (views >= 1000000) return `${(views / 1000000).toFixed(1)}M`;
+    if (views >= 1000) return `${(views / 1000).toFixed(1)}K`;
+    return views.toString();
+  };
+
+  return (
+    <Link
+      to={`/video/${video._id}`}
+      className="group flex space-x-3 p-2 rounded-lg hover:bg-slate-800/50 transition-colors"
+    >
+      <div className="relative w-40 flex-shrink-0 aspect-video bg-slate-700 rounded-lg overflow-hidden">
+        <img
+          src={video.thumbnailUrl}
+          alt={video.title}
+          className="w-full h-full object-cover"
+          onError={(e) => {
+            e.target.src = `https://images.unsplash.com/photo-1611162617474-5b21e879e113?w=800&h=450&fit=crop&crop=center`;
+          }}
+        />
+        {video.duration > 0 && (
+          <div className="absolute bottom-1 right-1 bg-black/70 text-white text-xs px-1.5 py-0.5 rounded">
+            {formatDuration(video.duration)}
+          </div>
+        )}
+      </div>
+
+      <div className="min-w-0">
+        <h4 className="text-white text-sm font-medium line-clamp-2 group-hover:text-blue-400 transition-colors">
+          {video.title}
+        </h4>
+        <p className="mt-1 text-slate-400 text-xs truncate">
+          {video.uploader?.username || 'Unknown User'}
+        </p>
+        <p className="text-slate-500 text-xs">
+          {formatViews(video.views)} views
+        </p>
+      </div>
+    </Link>
+  );
+};
+
+export default CompactVideoCard;
@@ -0,0 +1,320 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { Camera, Save, Lock, Loader, X } from 'lucide-react';
+import axios from 'axios';
+
+const inputClassName = 'w-full px-4 py-3 bg-slate-700/50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+const EditProfile = ({ onClose }) => {
+  const { user, updateUser } = useAuth();
+  const [formData, setFormData] = useState({
+    username: user.username,
+    email: user.email,
+    bio: user.bio || ''
+  });
+  const [passwordData, setPasswordData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [saving, setSaving] = useState(false);
+  const [uploadingAvatar, setUploadingAvatar] = useState(false);
+  const [changingPassword, setChangingPassword] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    if (error) setError('');
+  };
+
+  const handlePasswordChange = (e) => {
+    setPasswordData({
+      ...passwordData,
+      [e.target.name]: e.target.value
+    });
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await axios.patch('https://vid-share-backend.onrender.com/api/auth/me', formData);
+      updateUser(response.data.user);
+      setMessage(response.data.message || 'Profile updated');
+    } catch (error) {
+      console.error('Update profile error:', error);
+      setError(error.response?.data?.message || 'Failed to update profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAvatarSelect = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    if (!['image/jpeg', 'image/png', 'image/webp', 'image/gif'].includes(file.type)) {
+      setError('Please select a JPEG, PNG, WEBP or GIF image');
+      return;
+    }
+
+    if (file.size > 5 * 1024 * 1024) {
+      setError('Avatar must be less than 5MB');
+      return;
+    }
+
+    setUploadingAvatar(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const avatarFormData = new FormData();
+      avatarFormData.append('avatar', file);
+
+      const response = await axios.post(
+        'https://vid-share-backend.onrender.com/api/auth/me/avatar',
+        avatarFormData,
+        {
+          headers: {
+            'Content-Type': 'multipart/form-data',
+          },
+        }
+      );
+      updateUser(response.data.user);
+      setMessage('Avatar updated');
+    } catch (error) {
+      console.error('Avatar upload error:', error);
+      setError(error.response?.data?.message || 'Failed to upload avatar');
+    } finally {
+      setUploadingAvatar(false);
+      e.target.value = '';
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (passwordData.newPassword !== passwordData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (passwordData.newPassword.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+
+    setChangingPassword(true);
+
+    try {
+      await axios.put('https://vid-share-backend.onrender.com/api/auth/me/password', {
+        currentPassword: passwordData.currentPassword,
+        newPassword: passwordData.newPassword
+      });
+      setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setMessage('Password changed');
+    } catch (error) {
+      console.error('Change password error:', error);
+      setError(error.response?.data?.message || 'Failed to change password');
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-8 mb-8">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-white">Edit Profile</h2>
+        <button
+          onClick={onClose}
+          className="text-slate-400 hover:text-white transition-colors"
+        >
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+          <p className="text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-6 p-4 bg-green-500/10 border border-green-500/20 rounded-lg">
+          <p className="text-green-400 text-sm">{message}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <div className="space-y-6">
+          {/* Avatar */}
+          <div className="flex items-center space-x-4">
+            {user.avatar ? (
+              <img
+                src={user.avatar}
+                alt={user.username}
+                className="w-20 h-20 rounded-full object-cover"
+              />
+            ) : (
+              <div className="w-20 h-20 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-white text-2xl font-bold">
+                {user.username[0].toUpperCase()}
+              </div>
+            )}
+            <label className="relative inline-flex items-center px-4 py-2 bg-slate-700/50 hover:bg-slate-700 text-white rounded-lg transition-colors cursor-pointer">
+              {uploadingAvatar ? (
+                <Loader className="h-4 w-4 animate-spin mr-2" />
+              ) : (
+                <Camera className="h-4 w-4 mr-2" />
+              )}
+              {uploadingAvatar ? 'Uploading...' : 'Change Avatar'}
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp,image/gif"
+                onChange={handleAvatarSelect}
+                disabled={uploadingAvatar}
+                className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+              />
+            </label>
+          </div>
+
+          {/* Profile fields */}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="username" className="block text-sm font-medium text-slate-300 mb-2">
+                Username
+              </label>
+              <input
+                id="username"
+                name="username"
+                type="text"
+                required
+                value={formData.username}
+                onChange={handleChange}
+                className={inputClassName}
+                minLength={3}
+                maxLength={30}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-slate-300 mb-2">
+                Email Address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                required
+                value={formData.email}
+                onChange={handleChange}
+                className={inputClassName}
+              />
+              {user.pendingEmail && (
+                <p className="mt-2 text-sm text-slate-400">
+                  Waiting for you to confirm {user.pendingEmail}. Until then you'll keep using {user.email}.
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="bio" className="block text-sm font-medium text-slate-300 mb-2">
+                Bio
+              </label>
+              <textarea
+                id="bio"
+                name="bio"
+                value={formData.bio}
+                onChange={handleChange}
+                rows={3}
+                className={`${inputClassName} resize-none`}
+                placeholder="Tell viewers about yourself..."
+                maxLength={500}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center justify-center px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white font-medium rounded-lg transition-colors"
+            >
+              {saving ? <Loader className="h-5 w-5 animate-spin mr-2" /> : <Save className="h-5 w-5 mr-2" />}
+              Save Changes
+            </button>
+          </form>
+        </div>
+
+        {/* Password */}
+        <form onSubmit={handlePasswordSubmit} className="space-y-4">
+          <h3 className="text-lg font-semibold text-white">Change Password</h3>
+
+          <div>
+            <label htmlFor="currentPassword" className="block text-sm font-medium text-slate-300 mb-2">
+              Current Password
+            </label>
+            <input
+              id="currentPassword"
+              name="currentPassword"
+              type="password"
+              required
+              value={passwordData.currentPassword}
+              onChange={handlePasswordChange}
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="newPassword" className="block text-sm font-medium text-slate-300 mb-2">
+              New Password
+            </label>
+            <input
+              id="newPassword"
+              name="newPassword"
+              type="password"
+              required
+              value={passwordData.newPassword}
+              onChange={handlePasswordChange}
+              className={inputClassName}
+              minLength={6}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="confirmPassword" className="block text-sm font-medium text-slate-300 mb-2">
+              Confirm New Password
+            </label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              required
+              value={passwordData.confirmPassword}
+              onChange={handlePasswordChange}
+              className={inputClassName}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={changingPassword}
+            className="flex items-center justify-center px-6 py-3 bg-slate-700/50 hover:bg-slate-700 disabled:opacity-50 text-white font-medium rounded-lg transition-colors"
+          >
+            {changingPassword ? <Loader className="h-5 w-5 animate-spin mr-2" /> : <Lock className="h-5 w-5 mr-2" />}
+            Change Password
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EditProfile;
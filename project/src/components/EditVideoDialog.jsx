@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { X, Save, Loader, Image } from 'lucide-react';
+import axios from 'axios';
+import { videoCategories } from '../constants/categories';
+
+const inputClassName = 'w-full px-4 py-3 bg-slate-700/50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+const EditVideoDialog = ({ video, onClose, onSaved }) => {
+  const [formData, setFormData] = useState({
+    title: video.title,
+    description: video.description || '',
+    tags: (video.tags || []).join(', '),
+    category: video.category || 'other',
+    visibility: video.visibility
+  });
+  const [thumbnail, setThumbnail] = useState(null);
+  const [thumbnailPreview, setThumbnailPreview] = useState(video.thumbnailUrl);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    if (error) setError('');
+  };
+
+  const handleThumbnailSelect = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    if (!['image/jpeg', 'image/png', 'image/webp', 'image/gif'].includes(file.type)) {
+      setError('Please select a JPEG, PNG, WEBP or GIF image');
+      return;
+    }
+
+    if (file.size > 5 * 1024 * 1024) {
+      setError('Thumbnail must be less than 5MB');
+      return;
+    }
+
+    setThumbnail(file);
+    setThumbnailPreview(URL.createObjectURL(file));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.title.trim()) {
+      setError('Please enter a title');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const updateFormData = new FormData();
+      updateFormData.append('title', formData.title);
+      updateFormData.append('description', formData.description);
+      updateFormData.append('tags', formData.tags);
+      updateFormData.append('category', formData.category);
+      updateFormData.append('visibility', formData.visibility);
+      if (thumbnail) {
+        updateFormData.append('thumbnail', thumbnail);
+      }
+
+      const response = await axios.patch(
+        `https://vid-share-backend.onrender.com/api/videos/${video._id}`,
+        updateFormData,
+        {
+          headers: {
+            'Content-Type': 'multipart/form-data',
+          },
+        }
+      );
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Update video error:', error);
+      setError(error.response?.data?.message || 'Failed to update video');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 px-4">
+      <div className="w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-slate-900 rounded-xl border border-slate-700/50 p-8">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-white">Edit Video</h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-white transition-colors"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="edit-title" className="block text-sm font-medium text-slate-300 mb-2">
+              Title *
+            </label>
+            <input
+              id="edit-title"
+              name="title"
+              type="text"
+              required
+              value={formData.title}
+              onChange={handleChange}
+              className={inputClassName}
+              maxLength={200}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="edit-description" className="block text-sm font-medium text-slate-300 mb-2">
+              Description
+            </label>
+            <textarea
+              id="edit-description"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              rows={4}
+              className={`${inputClassName} resize-none`}
+              maxLength={2000}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="edit-tags" className="block text-sm font-medium text-slate-300 mb-2">
+              Tags
+            </label>
+            <input
+              id="edit-tags"
+              name="tags"
+              type="text"
+              value={formData.tags}
+              onChange={handleChange}
+              className={inputClassName}
+              placeholder="gaming, music, tutorial (separate with commas)"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="edit-category" className="block text-sm font-medium text-slate-300 mb-2">
+              Category
+            </label>
+            <select
+              id="edit-category"
+              name="category"
+              value={formData.category}
+              onChange={handleChange}
+              className={inputClassName}
+            >
+              {videoCategories.map((category) => (
+                <option key={category.value} value={category.value}>{category.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="edit-visibility" className="block text-sm font-medium text-slate-300 mb-2">
+              Visibility
+            </label>
+            <select
+              id="edit-visibility"
+              name="visibility"
+              value={formData.visibility}
+              onChange={handleChange}
+              className={inputClassName}
+            >
+              <option value="public">Public - anyone can find and watch</option>
+              <option value="unlisted">Unlisted - only people with the link</option>
+              <option value="private">Private - only you</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">
+              Thumbnail
+            </label>
+            <div className="flex items-center space-x-4">
+              <img
+                src={thumbnailPreview}
+                alt="Thumbnail preview"
+                className="w-40 aspect-video object-cover rounded-lg bg-slate-700"
+              />
+              <label className="relative inline-flex items-center px-4 py-2 bg-slate-700/50 hover:bg-slate-700 text-white rounded-lg transition-colors cursor-pointer">
+                <Image className="h-4 w-4 mr-2" />
+                {thumbnail ? 'Change Image' : 'Upload Image'}
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp,image/gif"
+                  onChange={handleThumbnailSelect}
+                  className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                />
+              </label>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-3 text-slate-300 hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center justify-center px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white font-medium rounded-lg transition-colors"
+            >
+              {saving ? <Loader className="h-5 w-5 animate-spin mr-2" /> : <Save className="h-5 w-5 mr-2" />}
+              Save Changes
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EditVideoDialog;
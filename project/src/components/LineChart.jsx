@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 44 };
+
+// Small SVG line chart. points: [{ label, value }]
+const LineChart = ({ points, formatValue = (value) => value, maxValue, color = '#3b82f6' }) => {
+  const [hovered, setHovered] = useState(null);
+
+  if (points.length === 0) {
+    return null;
+  }
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const max = maxValue ?? Math.max(1, ...points.map((point) => point.value));
+
+  const x = (index) => PADDING.left + (points.length === 1 ? innerWidth / 2 : (index / (points.length - 1)) * innerWidth);
+  const y = (value) => PADDING.top + innerHeight - (value / max) * innerHeight;
+
+  const line = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(index)},${y(point.value)}`).join(' ');
+  const area = `${line} L${x(points.length - 1)},${PADDING.top + innerHeight} L${x(0)},${PADDING.top + innerHeight} Z`;
+
+  // Show a handful of x-axis labels however many points there are
+  const labelStep = Math.max(1, Math.ceil(points.length / 6));
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const relativeX = ((e.clientX - rect.left) / rect.width) * WIDTH - PADDING.left;
+    const index = Math.round((relativeX / innerWidth) * (points.length - 1));
+    setHovered(Math.max(0, Math.min(points.length - 1, index)));
+  };
+
+  return (
+    <div className="relative">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHovered(null)}
+      >
+        {[0, 0.5, 1].map((fraction) => (
+          <g key={fraction}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(max * fraction)}
+              y2={y(max * fraction)}
+              stroke="#334155"
+              strokeDasharray="4 4"
+            />
+            <text x={PADDING.left - 6} y={y(max * fraction) + 4} textAnchor="end" fontSize="10" fill="#94a3b8">
+              {formatValue(max * fraction)}
+            </text>
+          </g>
+        ))}
+
+        <path d={area} fill={color} fillOpacity="0.15" />
+        <path d={line} fill="none" stroke={color} strokeWidth="2" />
+
+        {points.map((point, index) => (
+          index % labelStep === 0 && (
+            <text key={point.label} x={x(index)} y={HEIGHT - 6} textAnchor="middle" fontSize="10" fill="#94a3b8">
+              {point.label}
+            </text>
+          )
+        ))}
+
+        {hovered !== null && (
+          <g>
+            <line
+              x1={x(hovered)}
+              x2={x(hovered)}
+              y1={PADDING.top}
+              y2={PADDING.top + innerHeight}
+              stroke="#64748b"
+            />
+            <circle cx={x(hovered)} cy={y(points[hovered].value)} r="4" fill={color} />
+          </g>
+        )}
+      </svg>
+
+      {hovered !== null && (
+        <div className="absolute top-0 right-0 bg-slate-800 border border-slate-700 rounded-lg px-3 py-1 text-sm">
+          <span className="text-slate-400">{points[hovered].label}: </span>
+          <span className="text-white font-medium">{formatValue(points[hovered].value)}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LineChart;
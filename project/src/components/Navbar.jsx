@@ -1,28 +1,20 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Video, Search, Upload, User, LogOut, Menu, X } from 'lucide-react';
+import SearchBox from './SearchBox';
+import { Video, Upload, User, Users, History, LogOut, Menu, X } from 'lucide-react';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
     setIsMenuOpen(false);
   };
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    if (searchQuery.trim()) {
-      navigate(`/?search=${encodeURIComponent(searchQuery.trim())}`);
-      setSearchQuery('');
-    }
-  };
-
   return (
     <nav className="fixed top-0 left-0 right-0 z-50 bg-slate-900/95 backdrop-blur-md border-b border-slate-800">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -36,18 +28,7 @@ const Navbar = () => {
           </Link>
 
           {/* Search Bar - Desktop */}
-          <form onSubmit={handleSearch} className="hidden md:flex flex-1 max-w-lg mx-8">
-            <div className="relative w-full">
-              <input
-                type="text"
-                placeholder="Search videos..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                className="w-full px-4 py-2 pl-10 bg-slate-800/50 border border-slate-700 rounded-full text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
-              />
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-slate-400" />
-            </div>
-          </form>
+          <SearchBox className="hidden md:flex flex-1 max-w-lg mx-8" />
 
           {/* Desktop Navigation */}
           <div className="hidden md:flex items-center space-x-4">
@@ -60,6 +41,20 @@ const Navbar = () => {
                   <Upload className="h-4 w-4" />
                   <span>Upload</span>
                 </Link>
+                <Link
+                  to="/feed/subscriptions"
+                  className="flex items-center space-x-2 px-4 py-2 text-slate-300 hover:text-white transition-colors"
+                >
+                  <Users className="h-4 w-4" />
+                  <span>Subscriptions</span>
+                </Link>
+                <Link
+                  to="/history"
+                  className="flex items-center space-x-2 px-4 py-2 text-slate-300 hover:text-white transition-colors"
+                >
+                  <History className="h-4 w-4" />
+                  <span>History</span>
+                </Link>
                 <Link
                   to="/profile"
                   className="flex items-center space-x-2 px-4 py-2 text-slate-300 hover:text-white transition-colors"
@@ -103,18 +98,7 @@ const Navbar = () => {
         </div>
 
         {/* Mobile Search Bar */}
-        <form onSubmit={handleSearch} className="md:hidden pb-4">
-          <div className="relative">
-            <input
-              type="text"
-              placeholder="Search videos..."
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              className="w-full px-4 py-2 pl-10 bg-slate-800/50 border border-slate-700 rounded-full text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
-            />
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-slate-400" />
-          </div>
-        </form>
+        <SearchBox className="md:hidden pb-4" />
       </div>
 
       {/* Mobile Navigation Menu */}
@@ -131,6 +115,22 @@ const Navbar = () => {
                   <Upload className="h-4 w-4" />
                   <span>Upload Video</span>
                 </Link>
+                <Link
+                  to="/feed/subscriptions"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="flex items-center space-x-2 px-4 py-3 text-slate-300 hover:text-white hover:bg-slate-800 rounded-lg transition-colors"
+                >
+                  <Users className="h-4 w-4" />
+                  <span>Subscriptions</span>
+                </Link>
+                <Link
+                  to="/history"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="flex items-center space-x-2 px-4 py-3 text-slate-300 hover:text-white hover:bg-slate-800 rounded-lg transition-colors"
+                >
+                  <History className="h-4 w-4" />
+                  <span>History</span>
+                </Link>
                 <Link
                   to="/profile"
                   onClick={() => setIsMenuOpen(false)}
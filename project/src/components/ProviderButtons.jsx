@@ -0,0 +1,45 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { KeyRound } from 'lucide-react';
+
+const OIDC_URL = 'https://vid-share-backend.onrender.com/api/auth/oidc';
+
+// "Continue with ..." for each configured OpenID Connect provider. The flow runs
+// through the backend and comes back to the app already signed in.
+const ProviderButtons = () => {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    axios.get(`${OIDC_URL}/providers`)
+      .then((response) => setProviders(response.data))
+      .catch((error) => console.error('Error fetching sign-in providers:', error));
+  }, []);
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center mb-6">
+        <div className="flex-1 border-t border-slate-700" />
+        <span className="px-3 text-sm text-slate-500">or</span>
+        <div className="flex-1 border-t border-slate-700" />
+      </div>
+      <div className="space-y-3">
+        {providers.map((provider) => (
+          <a
+            key={provider.id}
+            href={`${OIDC_URL}/${encodeURIComponent(provider.id)}/start`}
+            className="w-full flex items-center justify-center px-4 py-3 bg-slate-700/50 hover:bg-slate-700 border border-slate-600 text-white font-medium rounded-lg transition-colors"
+          >
+            <KeyRound className="h-5 w-5 mr-2" />
+            Continue with {provider.label}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ProviderButtons;
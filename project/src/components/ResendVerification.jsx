@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Loader } from 'lucide-react';
+
+// "Send the link again" for an address that hasn't been confirmed yet
+const ResendVerification = ({ email }) => {
+  const [sending, setSending] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const handleResend = async () => {
+    setSending(true);
+    setStatus('');
+
+    try {
+      const response = await axios.post('https://vid-share-backend.onrender.com/api/auth/verify-email/resend', { email });
+      setStatus(response.data.message);
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      setStatus(error.response?.data?.message || 'Failed to send confirmation email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="text-sm">
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={sending}
+        className="inline-flex items-center text-blue-400 hover:text-blue-300 font-medium transition-colors disabled:opacity-50"
+      >
+        {sending && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+        Send the confirmation link again
+      </button>
+      {status && <p className="mt-2 text-slate-400">{status}</p>}
+    </div>
+  );
+};
+
+export default ResendVerification;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import { Search, Clock, Hash, User, X } from 'lucide-react';
+
+const SUGGESTIONS_URL = 'https://vid-share-backend.onrender.com/api/videos/search/suggestions';
+const DEBOUNCE_MS = 250;
+
+const emptySuggestions = { titles: [], tags: [], channels: [], recent: [] };
+
+// Flatten the sections into one list so arrow keys can move across all of them
+const toOptions = (suggestions) => [
+  ...suggestions.recent.map((query) => ({ type: 'recent', label: query, to: `/?search=${encodeURIComponent(query)}` })),
+  ...suggestions.titles.map((title) => ({ type: 'title', label: title, to: `/?search=${encodeURIComponent(title)}` })),
+  ...suggestions.tags.map((tag) => ({ type: 'tag', label: tag, to: `/tag/${encodeURIComponent(tag)}` })),
+  ...suggestions.channels.map((channel) => ({
+    type: 'channel',
+    label: channel.username,
+    avatar: channel.avatar,
+    to: `/channel/${channel.username}`
+  }))
+];
+
+const sectionTitles = {
+  recent: 'Recent searches',
+  title: 'Videos',
+  tag: 'Tags',
+  channel: 'Channels'
+};
+
+const SearchBox = ({ className = '' }) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const listId = useId();
+  const containerRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState(emptySuggestions);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const options = toOptions(suggestions);
+
+  // Fetch suggestions once typing pauses; only recent searches are shown for an empty box
+  useEffect(() => {
+    if (!isOpen || (!query.trim() && !user)) {
+      setSuggestions(emptySuggestions);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(SUGGESTIONS_URL, { params: { q: query.trim() } });
+        if (!cancelled) {
+          setSuggestions(response.data);
+          setActiveIndex(-1);
+        }
+      } catch (error) {
+        console.error('Error fetching suggestions:', error);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, isOpen, user]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const goTo = (path) => {
+    navigate(path);
+    setQuery('');
+    close();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (activeIndex >= 0 && options[activeIndex]) {
+      goTo(options[activeIndex].to);
+    } else if (query.trim()) {
+      goTo(`/?search=${encodeURIComponent(query.trim())}`);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((index) => (options.length ? (index + 1) % options.length : -1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => (options.length ? (index <= 0 ? options.length : index) - 1 : -1));
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const removeRecent = async (e, recentQuery) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setSuggestions((current) => ({
+      ...current,
+      recent: current.recent.filter((item) => item !== recentQuery)
+    }));
+    try {
+      await axios.delete('https://vid-share-backend.onrender.com/api/videos/search/recent', {
+        params: { q: recentQuery }
+      });
+    } catch (error) {
+      console.error('Error removing recent search:', error);
+    }
+  };
+
+  const optionIcon = (option) => {
+    switch (option.type) {
+      case 'recent':
+        return <Clock className="h-4 w-4 text-slate-400 flex-shrink-0" />;
+      case 'tag':
+        return <Hash className="h-4 w-4 text-slate-400 flex-shrink-0" />;
+      case 'channel':
+        return option.avatar ? (
+          <img src={option.avatar} alt={option.label} className="h-5 w-5 rounded-full object-cover flex-shrink-0" />
+        ) : (
+          <User className="h-4 w-4 text-slate-400 flex-shrink-0" />
+        );
+      default:
+        return <Search className="h-4 w-4 text-slate-400 flex-shrink-0" />;
+    }
+  };
+
+  const showDropdown = isOpen && options.length > 0;
+
+  return (
+    <form onSubmit={handleSubmit} className={className}>
+      <div ref={containerRef} className="relative w-full">
+        <input
+          type="text"
+          placeholder="Search videos..."
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded={showDropdown}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+          className="w-full px-4 py-2 pl-10 bg-slate-800/50 border border-slate-700 rounded-full text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+        />
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-slate-400" />
+
+        {showDropdown && (
+          <ul
+            id={listId}
+            role="listbox"
+            className="absolute left-0 right-0 mt-2 py-2 max-h-96 overflow-y-auto bg-slate-900 border border-slate-700/50 rounded-xl shadow-xl z-50"
+          >
+            {options.map((option, index) => (
+              <React.Fragment key={`${option.type}-${option.label}`}>
+                {(index === 0 || options[index - 1].type !== option.type) && (
+                  <li role="presentation" className="px-4 pt-2 pb-1 text-xs font-medium uppercase tracking-wide text-slate-500">
+                    {sectionTitles[option.type]}
+                  </li>
+                )}
+                <li
+                  id={`${listId}-${index}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => goTo(option.to)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`flex items-center space-x-3 px-4 py-2 cursor-pointer transition-colors ${
+                    index === activeIndex ? 'bg-slate-800 text-white' : 'text-slate-300'
+                  }`}
+                >
+                  {optionIcon(option)}
+                  <span className="flex-1 truncate">{option.label}</span>
+                  {option.type === 'recent' && (
+                    <button
+                      type="button"
+                      onClick={(e) => removeRecent(e, option.label)}
+                      className="p-1 text-slate-500 hover:text-white transition-colors"
+                      title="Remove from recent searches"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  )}
+                </li>
+              </React.Fragment>
+            ))}
+          </ul>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { ShieldCheck, Loader, Clock } from 'lucide-react';
+
+const inputClassName = 'w-full px-4 py-3 bg-slate-700/50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+// Second sign-in step for accounts with two-factor authentication
+const TwoFactorForm = ({ challenge, onCancel }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // When codes are accepted again after too many wrong ones
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [now, setNow] = useState(Date.now());
+
+  const { verifyTwoFactor } = useAuth();
+  const navigate = useNavigate();
+
+  // Tick the countdown while verification is locked
+  useEffect(() => {
+    if (!lockedUntil) return;
+
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= lockedUntil) {
+        setLockedUntil(0);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const secondsLeft = Math.max(Math.ceil((lockedUntil - now) / 1000), 0);
+  const countdown = `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await verifyTwoFactor(
+      challenge,
+      useRecoveryCode ? { recoveryCode: value } : { code: value }
+    );
+
+    if (result.success) {
+      navigate('/');
+      return;
+    }
+
+    setLoading(false);
+    if (result.expired) {
+      onCancel(result.message);
+    } else if (result.retryAfter) {
+      setNow(Date.now());
+      setLockedUntil(Date.now() + result.retryAfter * 1000);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+    setError('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {secondsLeft > 0 && (
+        <div className="p-4 bg-amber-500/10 border border-amber-500/20 rounded-lg flex items-start space-x-3">
+          <Clock className="h-5 w-5 text-amber-400 flex-shrink-0" />
+          <p className="text-amber-300 text-sm">
+            Too many incorrect codes. For your security, verification is paused
+            for a while. You can try again in {countdown}.
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+          <p className="text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="twoFactorCode" className="block text-sm font-medium text-slate-300 mb-2">
+          {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+        </label>
+        <input
+          id="twoFactorCode"
+          name="twoFactorCode"
+          type="text"
+          required
+          autoFocus
+          autoComplete={useRecoveryCode ? 'off' : 'one-time-code'}
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value);
+            if (error) setError('');
+          }}
+          className={inputClassName}
+          placeholder={useRecoveryCode ? 'xxxx-xxxx-xxxx' : '123456'}
+        />
+        <p className="mt-2 text-sm text-slate-400">
+          {useRecoveryCode
+            ? 'Each recovery code works once.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading || secondsLeft > 0}
+        className="w-full flex items-center justify-center px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white font-medium rounded-lg transition-colors"
+      >
+        {loading ? (
+          <Loader className="h-5 w-5 animate-spin" />
+        ) : (
+          <>
+            <ShieldCheck className="h-5 w-5 mr-2" />
+            Verify
+          </>
+        )}
+      </button>
+
+      <div className="flex items-center justify-between text-sm">
+        <button
+          type="button"
+          onClick={toggleMode}
+          className="text-blue-400 hover:text-blue-300 transition-colors"
+        >
+          {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+        </button>
+        <button
+          type="button"
+          onClick={() => onCancel('')}
+          className="text-slate-400 hover:text-slate-300 transition-colors"
+        >
+          Start over
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorForm;
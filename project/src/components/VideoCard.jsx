@@ -1,8 +1,8 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
-import { Play, Eye, Heart } from 'lucide-react';
+import { Play, Eye, Heart, Lock, Link as LinkIcon } from 'lucide-react';
 
-const VideoCard = ({ video }) => {
+const VideoCard = ({ video, progress }) => {
   const formatDuration = (seconds) => {
     const minutes = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
@@ -60,53 +60,84 @@ const VideoCard = ({ video }) => {
             </div>
           </div>
 
+          {/* Visibility badge */}
+          {video.visibility && video.visibility !== 'public' && (
+            <div className="absolute top-2 left-2 flex items-center space-x-1 bg-black/70 text-white text-xs px-2 py-1 rounded">
+              {video.visibility === 'private' ? <Lock className="h-3 w-3" /> : <LinkIcon className="h-3 w-3" />}
+              <span className="capitalize">{video.visibility}</span>
+            </div>
+          )}
+
           {/* Duration badge */}
-          {video.duration > 0 && (
+          {video.processingStatus === 'processing' ? (
+            <div className="absolute bottom-2 right-2 bg-black/70 text-white text-xs px-2 py-1 rounded">
+              Processing
+            </div>
+          ) : video.duration > 0 && (
             <div className="absolute bottom-2 right-2 bg-black/70 text-white text-xs px-2 py-1 rounded">
               {formatDuration(video.duration)}
             </div>
           )}
+
+          {/* Watch progress */}
+          {progress?.position > 0 && (progress.duration || video.duration) > 0 && (
+            <div className="absolute bottom-0 left-0 right-0 h-1 bg-white/30">
+              <div
+                className="h-full bg-red-500"
+                style={{ width: `${Math.min(100, (progress.position / (progress.duration || video.duration)) * 100)}%` }}
+              />
+            </div>
+          )}
         </div>
+      </Link>
 
-        {/* Video Info */}
-        <div className="p-4">
+      {/* Video Info */}
+      <div className="p-4">
+        <Link to={`/video/${video._id}`}>
           <h3 className="text-white font-semibold text-lg line-clamp-2 group-hover:text-blue-400 transition-colors duration-200">
             {video.title}
           </h3>
-          
-          <div className="mt-2 flex items-center space-x-4 text-sm text-slate-400">
-            <div className="flex items-center space-x-1">
-              <Eye className="h-4 w-4" />
-              <span>{formatViews(video.views)} views</span>
-            </div>
-            
-            <div className="flex items-center space-x-1">
-              <Heart className="h-4 w-4" />
-              <span>{video.likes?.length || 0}</span>
-            </div>
+        </Link>
+
+        <div className="mt-2 flex items-center space-x-4 text-sm text-slate-400">
+          <div className="flex items-center space-x-1">
+            <Eye className="h-4 w-4" />
+            <span>{formatViews(video.views)} views</span>
           </div>
 
-          <div className="mt-3 flex items-center space-x-3">
-            <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-white text-sm font-semibold">
-              {video.uploader?.username?.[0]?.toUpperCase() || 'U'}
-            </div>
-            <div>
-              <p className="text-slate-300 text-sm font-medium">
-                {video.uploader?.username || 'Unknown User'}
-              </p>
-              <p className="text-slate-500 text-xs">
-                {timeAgo(video.createdAt)}
-              </p>
-            </div>
+          <div className="flex items-center space-x-1">
+            <Heart className="h-4 w-4" />
+            <span>{video.likes?.length || 0}</span>
           </div>
+        </div>
 
-          {video.description && (
-            <p className="mt-3 text-slate-400 text-sm line-clamp-2">
-              {video.description}
+        <div className="mt-3 flex items-center space-x-3">
+          <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-white text-sm font-semibold">
+            {video.uploader?.username?.[0]?.toUpperCase() || 'U'}
+          </div>
+          <div>
+            {video.uploader?.username ? (
+              <Link
+                to={`/channel/${video.uploader.username}`}
+                className="block text-slate-300 hover:text-white text-sm font-medium transition-colors"
+              >
+                {video.uploader.username}
+              </Link>
+            ) : (
+              <p className="text-slate-300 text-sm font-medium">Unknown User</p>
+            )}
+            <p className="text-slate-500 text-xs">
+              {timeAgo(video.createdAt)}
             </p>
-          )}
+          </div>
         </div>
-      </Link>
+
+        {video.description && (
+          <p className="mt-3 text-slate-400 text-sm line-clamp-2">
+            {video.description}
+          </p>
+        )}
+      </div>
     </div>
   );
 };
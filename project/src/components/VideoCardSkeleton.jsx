@@ -0,0 +1,22 @@
+import React from 'react';
+
+// Placeholder with the shape of a VideoCard while videos load
+const VideoCardSkeleton = () => (
+  <div className="bg-slate-800/30 rounded-xl overflow-hidden border border-slate-700/50 animate-pulse">
+    <div className="aspect-video bg-slate-700/60" />
+    <div className="p-4 space-y-3">
+      <div className="h-5 bg-slate-700/60 rounded w-11/12" />
+      <div className="h-5 bg-slate-700/60 rounded w-2/3" />
+      <div className="h-4 bg-slate-700/60 rounded w-1/3" />
+      <div className="flex items-center space-x-3 pt-1">
+        <div className="w-8 h-8 bg-slate-700/60 rounded-full" />
+        <div className="space-y-2 flex-1">
+          <div className="h-3 bg-slate-700/60 rounded w-1/2" />
+          <div className="h-3 bg-slate-700/60 rounded w-1/4" />
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+export default VideoCardSkeleton;
@@ -1,29 +1,25 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Play, Pause, Volume2, VolumeX, Maximize, Settings, AlertCircle } from 'lucide-react';
+import Hls from 'hls.js';
+import { Play, Pause, Volume2, VolumeX, Maximize, Settings, AlertCircle, RotateCcw, X } from 'lucide-react';
 
-const VideoPlayer = ({ src, poster, onLoadedMetadata }) => {
+const VideoPlayer = ({ src, hlsSrc, poster, autoPlay = false, resumeFrom = 0, onLoadedMetadata, onEnded, onProgress }) => {
   const videoRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [volume, setVolume] = useState(1);
   const [isMuted, setIsMuted] = useState(false);
-  const [isFullscreen, setIsFullscreen] = useState(false);
   const [showControls, setShowControls] = useState(true);
-  const [quality, setQuality] = useState('auto');
+  // -1 is hls.js' automatic level selection
+  const [quality, setQuality] = useState(-1);
+  const [levels, setLevels] = useState([]);
+  const [activeLevel, setActiveLevel] = useState(-1);
   const [showQualityMenu, setShowQualityMenu] = useState(false);
   const [error, setError] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [showResume, setShowResume] = useState(false);
   const controlsTimeoutRef = useRef(null);
-
-  // Quality options for Cloudinary video transformation
-  const qualityOptions = [
-    { label: 'Auto', value: 'auto' },
-    { label: '1080p', value: 'q_auto,h_1080' },
-    { label: '720p', value: 'q_auto,h_720' },
-    { label: '480p', value: 'q_auto,h_480' },
-    { label: '360p', value: 'q_auto,h_360' }
-  ];
+  const hlsRef = useRef(null);
 
   // Check if this is a Google Drive video
   const isGoogleDriveVideo = () => {
@@ -49,20 +45,64 @@ const VideoPlayer = ({ src, poster, onLoadedMetadata }) => {
     return url;
   };
 
-  // Transform video URL based on quality selection
-  const getVideoUrl = () => {
-    if (quality === 'auto') return src;
-    
-    // For Cloudinary URLs, insert quality parameters
-    if (src.includes('cloudinary.com')) {
-      const urlParts = src.split('/upload/');
-      if (urlParts.length === 2) {
-        return `${urlParts[0]}/upload/${quality}/${urlParts[1]}`;
-      }
+  // Attach the source: adaptive HLS when available, the original file otherwise
+  useEffect(() => {
+    if (isGoogleDriveVideo()) return;
+
+    const video = videoRef.current;
+    if (!video) return;
+
+    setLevels([]);
+    setQuality(-1);
+    setActiveLevel(-1);
+
+    if (hlsSrc && Hls.isSupported()) {
+      const hls = new Hls();
+      hlsRef.current = hls;
+
+      hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+        setLevels(data.levels.map((level, index) => ({
+          index,
+          label: level.name || `${level.height}p`,
+          height: level.height
+        })));
+      });
+
+      hls.on(Hls.Events.LEVEL_SWITCHED, (event, data) => {
+        setActiveLevel(data.level);
+      });
+
+      // Fall back to the original upload if the stream can't be played
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (!data.fatal) return;
+        console.error('HLS error:', data);
+        hls.destroy();
+        hlsRef.current = null;
+        setLevels([]);
+        video.src = src;
+      });
+
+      hls.loadSource(hlsSrc);
+      hls.attachMedia(video);
+
+      return () => {
+        hls.destroy();
+        hlsRef.current = null;
+      };
     }
-    
-    return src;
-  };
+
+    // Safari plays HLS natively but picks renditions itself
+    if (hlsSrc && video.canPlayType('application/vnd.apple.mpegurl')) {
+      video.src = hlsSrc;
+    } else {
+      video.src = src;
+    }
+  }, [src, hlsSrc]);
+
+  // Offer to pick up where the viewer left off
+  useEffect(() => {
+    setShowResume(resumeFrom > 0);
+  }, [src, resumeFrom]);
 
   useEffect(() => {
     // For Google Drive videos, we don't need video element event listeners
@@ -78,7 +118,18 @@ const VideoPlayer = ({ src, poster, onLoadedMetadata }) => {
     const video = videoRef.current;
     if (!video) return;
 
-    const updateTime = () => setCurrentTime(video.currentTime);
+    const updateTime = () => {
+      setCurrentTime(video.currentTime);
+      if (onProgress) {
+        onProgress({ currentTime: video.currentTime, duration: video.duration, paused: video.paused });
+      }
+    };
+
+    const reportPause = () => {
+      if (onProgress) {
+        onProgress({ currentTime: video.currentTime, duration: video.duration, paused: true });
+      }
+    };
     const updateDuration = () => {
       setDuration(video.duration);
       setIsLoading(false);
@@ -104,6 +155,7 @@ const VideoPlayer = ({ src, poster, onLoadedMetadata }) => {
     };
 
     video.addEventListener('timeupdate', updateTime);
+    video.addEventListener('pause', reportPause);
     video.addEventListener('loadedmetadata', updateDuration);
     video.addEventListener('durationchange', updateDuration);
     video.addEventListener('error', handleError);
@@ -112,13 +164,14 @@ const VideoPlayer = ({ src, poster, onLoadedMetadata }) => {
 
     return () => {
       video.removeEventListener('timeupdate', updateTime);
+      video.removeEventListener('pause', reportPause);
       video.removeEventListener('loadedmetadata', updateDuration);
       video.removeEventListener('durationchange', updateDuration);
       video.removeEventListener('error', handleError);
       video.removeEventListener('loadstart', handleLoadStart);
       video.removeEventListener('canplay', handleCanPlay);
     };
-  }, [onLoadedMetadata, src]);
+  }, [onLoadedMetadata, onProgress, src]);
 
   const togglePlay = () => {
     if (isGoogleDriveVideo()) return; // Can't control iframe playback
@@ -136,6 +189,22 @@ const VideoPlayer = ({ src, poster, onLoadedMetadata }) => {
     }
   };
 
+  const handleResume = () => {
+    const video = videoRef.current;
+    const seekAndPlay = () => {
+      video.currentTime = resumeFrom;
+      video.play().catch(e => console.error('Play failed:', e));
+    };
+
+    // Seeking before metadata is loaded is ignored by some browsers
+    if (video.readyState >= 1) {
+      seekAndPlay();
+    } else {
+      video.addEventListener('loadedmetadata', seekAndPlay, { once: true });
+    }
+    setShowResume(false);
+  };
+
   const handleSeek = (e) => {
     if (isGoogleDriveVideo()) return; // Can't control iframe playback
     
@@ -174,10 +243,8 @@ const VideoPlayer = ({ src, poster, onLoadedMetadata }) => {
       
     if (!document.fullscreenElement) {
       element.requestFullscreen();
-      setIsFullscreen(true);
     } else {
       document.exitFullscreen();
-      setIsFullscreen(false);
     }
   };
 
@@ -203,22 +270,17 @@ const VideoPlayer = ({ src, poster, onLoadedMetadata }) => {
     }, 3000);
   };
 
-  const handleQualityChange = (newQuality) => {
-    if (isGoogleDriveVideo()) return; // No quality control for iframe
-    
-    const currentTime = videoRef.current.currentTime;
-    const wasPlaying = !videoRef.current.paused;
-    
-    setQuality(newQuality);
+  const handleQualityChange = (levelIndex) => {
+    if (!hlsRef.current) return;
+
+    // hls.js swaps renditions in place, so playback position is kept
+    hlsRef.current.currentLevel = levelIndex;
+    setQuality(levelIndex);
     setShowQualityMenu(false);
-    
-    // After quality change, restore playback position
-    setTimeout(() => {
-      videoRef.current.currentTime = currentTime;
-      if (wasPlaying) {
-        videoRef.current.play();
-      }
-    }, 100);
+  };
+
+  const qualityLabel = (levelIndex) => {
+    return levels.find(level => level.index === levelIndex)?.label || '';
   };
 
   // Render Google Drive iframe
@@ -268,16 +330,38 @@ const VideoPlayer = ({ src, poster, onLoadedMetadata }) => {
     >
       <video
         ref={videoRef}
-        src={getVideoUrl()}
         poster={poster}
         className="w-full h-full object-contain"
         onClick={togglePlay}
         onPlay={() => setIsPlaying(true)}
         onPause={() => setIsPlaying(false)}
+        onEnded={onEnded}
+        autoPlay={autoPlay}
         preload="metadata"
         crossOrigin="anonymous"
       />
 
+      {/* Resume prompt */}
+      {showResume && !error && (
+        <div className="absolute top-4 left-4 right-4 flex justify-center">
+          <div className="flex items-center space-x-3 bg-black/80 text-white text-sm px-4 py-2 rounded-lg">
+            <button
+              onClick={handleResume}
+              className="flex items-center space-x-2 hover:text-blue-400 transition-colors"
+            >
+              <RotateCcw className="h-4 w-4" />
+              <span>Resume from {formatTime(resumeFrom)}</span>
+            </button>
+            <button
+              onClick={() => setShowResume(false)}
+              className="text-slate-400 hover:text-white transition-colors"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Loading spinner */}
       {isLoading && !error && (
         <div className="absolute inset-0 flex items-center justify-center bg-black/50">
@@ -356,30 +440,40 @@ const VideoPlayer = ({ src, poster, onLoadedMetadata }) => {
 
           <div className="flex items-center space-x-4">
             {/* Quality selector */}
-            <div className="relative">
-              <button
-                onClick={() => setShowQualityMenu(!showQualityMenu)}
-                className="text-white hover:text-blue-400 transition-colors"
-              >
-                <Settings className="h-5 w-5" />
-              </button>
-
-              {showQualityMenu && (
-                <div className="absolute bottom-full right-0 mb-2 bg-slate-800 rounded-lg shadow-lg py-2 min-w-32">
-                  {qualityOptions.map((option) => (
+            {levels.length > 0 && (
+              <div className="relative">
+                <button
+                  onClick={() => setShowQualityMenu(!showQualityMenu)}
+                  className="text-white hover:text-blue-400 transition-colors"
+                >
+                  <Settings className="h-5 w-5" />
+                </button>
+
+                {showQualityMenu && (
+                  <div className="absolute bottom-full right-0 mb-2 bg-slate-800 rounded-lg shadow-lg py-2 min-w-32">
                     <button
-                      key={option.value}
-                      onClick={() => handleQualityChange(option.value)}
+                      onClick={() => handleQualityChange(-1)}
                       className={`block w-full text-left px-4 py-2 text-sm hover:bg-slate-700 transition-colors ${
-                        quality === option.value ? 'text-blue-400' : 'text-white'
+                        quality === -1 ? 'text-blue-400' : 'text-white'
                       }`}
                     >
-                      {option.label}
+                      Auto{quality === -1 && activeLevel >= 0 ? ` (${qualityLabel(activeLevel)})` : ''}
                     </button>
-                  ))}
-                </div>
-              )}
-            </div>
+                    {[...levels].sort((a, b) => b.height - a.height).map((level) => (
+                      <button
+                        key={level.index}
+                        onClick={() => handleQualityChange(level.index)}
+                        className={`block w-full text-left px-4 py-2 text-sm hover:bg-slate-700 transition-colors ${
+                          quality === level.index ? 'text-blue-400' : 'text-white'
+                        }`}
+                      >
+                        {level.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
 
             <button
               onClick={toggleFullscreen}
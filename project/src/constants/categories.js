@@ -0,0 +1,16 @@
+// Must match videoCategories in server/models/Video.js
+export const videoCategories = [
+  { value: 'film', label: 'Film & Animation' },
+  { value: 'music', label: 'Music' },
+  { value: 'gaming', label: 'Gaming' },
+  { value: 'education', label: 'Education' },
+  { value: 'science', label: 'Science & Technology' },
+  { value: 'sports', label: 'Sports' },
+  { value: 'news', label: 'News & Politics' },
+  { value: 'comedy', label: 'Comedy' },
+  { value: 'entertainment', label: 'Entertainment' },
+  { value: 'howto', label: 'Howto & Style' },
+  { value: 'travel', label: 'Travel & Events' },
+  { value: 'people', label: 'People & Blogs' },
+  { value: 'other', label: 'Other' }
+];
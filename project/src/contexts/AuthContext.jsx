@@ -3,6 +3,110 @@ import axios from 'axios';
 
 const AuthContext = createContext();
 
+const AUTH_URL = 'https://vid-share-backend.onrender.com/api/auth';
+
+// Refresh a little before the 15 minute access token runs out
+const REFRESH_MARGIN = 60 * 1000;
+
+// The access token lives only in memory; the refresh token is an httpOnly cookie
+// that only the auth endpoints see, so those calls are made with credentials.
+const authRequest = (path, data) => axios.post(`${AUTH_URL}${path}`, data, { withCredentials: true });
+
+let accessToken = null;
+let refreshPromise = null;
+// Set by the provider so refreshes made by the interceptors reach React state
+let onSessionRefreshed = () => {};
+let onSessionEnded = () => {};
+
+const setAccessToken = (token) => {
+  accessToken = token;
+  if (token) {
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  } else {
+    delete axios.defaults.headers.common['Authorization'];
+  }
+};
+
+// One refresh at a time, shared by everything that needs a fresh token
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = authRequest('/refresh')
+      .catch((error) => {
+        // Another tab rotated the cookie at the same moment; the browser has the new one now
+        if (error.response?.status === 409) {
+          return authRequest('/refresh');
+        }
+        throw error;
+      })
+      .then((response) => {
+        setAccessToken(response.data.token);
+        onSessionRefreshed(response.data);
+        return response.data;
+      })
+      .catch((error) => {
+        // The session is over; a network failure leaves things as they are
+        if (error.response?.status === 401) {
+          setAccessToken(null);
+          onSessionEnded();
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const isAuthCall = (config) => config.url?.startsWith(AUTH_URL) &&
+  ['/refresh', '/login', '/login/2fa', '/register', '/logout'].some((path) => config.url.endsWith(path));
+
+// Requests made while a refresh is in flight wait for its token
+axios.interceptors.request.use(async (config) => {
+  if (refreshPromise && !isAuthCall(config)) {
+    await refreshPromise.catch(() => {});
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    } else {
+      delete config.headers.Authorization;
+    }
+  }
+  return config;
+});
+
+// An expired or revoked access token gets one refresh and one retry
+axios.interceptors.response.use(null, async (error) => {
+  const { config, response } = error;
+
+  if (response?.status !== 401 || !config || config._retried || isAuthCall(config) || !accessToken) {
+    throw error;
+  }
+
+  config._retried = true;
+
+  try {
+    await refreshSession();
+  } catch {
+    throw error;
+  }
+
+  config.headers.Authorization = `Bearer ${accessToken}`;
+  return axios(config);
+});
+
+// Start restoring the session from the refresh cookie straight away, before pages
+// mount and send their first requests (which wait for it in the interceptor above)
+const initialSession = refreshSession().catch(() => null);
+
+// Seconds-since-epoch expiry claim of a JWT
+const tokenExpiry = (token) => {
+  try {
+    return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'))).exp * 1000;
+  } catch {
+    return 0;
+  }
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -14,93 +118,140 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(localStorage.getItem('token'));
+  const [token, setToken] = useState(null);
 
-  // Configure axios default headers
-  useEffect(() => {
-    if (token) {
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-    } else {
-      delete axios.defaults.headers.common['Authorization'];
-    }
-  }, [token]);
+  const applySession = ({ token: newToken, user: newUser }) => {
+    setAccessToken(newToken);
+    setToken(newToken);
+    setUser(newUser);
+  };
+
+  const clearSession = () => {
+    setAccessToken(null);
+    setToken(null);
+    setUser(null);
+  };
 
-  // Check if user is logged in on mount
   useEffect(() => {
-    const checkAuth = async () => {
-      if (token) {
-        try {
-          const response = await axios.get('https://vid-share-backend.onrender.com/api/auth/me');
-          setUser(response.data.user);
-        } catch (error) {
-          console.error('Auth check failed:', error);
-          localStorage.removeItem('token');
-          setToken(null);
-        }
-      }
-      setLoading(false);
+    // Long-lived tokens from before refresh cookies are no longer accepted
+    localStorage.removeItem('token');
+    onSessionRefreshed = applySession;
+    onSessionEnded = clearSession;
+
+    initialSession
+      .then((data) => (data ? applySession(data) : clearSession()))
+      .finally(() => setLoading(false));
+
+    return () => {
+      onSessionRefreshed = () => {};
+      onSessionEnded = () => {};
     };
+  }, []);
 
-    checkAuth();
+  // Refresh ahead of expiry so requests that also work signed out don't quietly lose the user
+  useEffect(() => {
+    if (!token) return;
+
+    const delay = Math.max(tokenExpiry(token) - Date.now() - REFRESH_MARGIN, 0);
+    const timer = setTimeout(() => {
+      refreshSession().catch((error) => console.error('Session refresh failed:', error));
+    }, delay);
+
+    return () => clearTimeout(timer);
   }, [token]);
 
   const login = async (email, password) => {
     try {
-      const response = await axios.post('https://vid-share-backend.onrender.com/api/auth/login', {
+      const response = await authRequest('/login', {
         email,
         password
       });
 
-      const { token: newToken, user } = response.data;
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
-      setUser(user);
+      // Accounts with two-factor authentication finish signing in with verifyTwoFactor
+      if (response.data.twoFactorRequired) {
+        return { success: false, challenge: response.data.challenge };
+      }
+
+      applySession(response.data);
 
       return { success: true };
     } catch (error) {
       console.error('Login error:', error);
-      return { 
-        success: false, 
-        message: error.response?.data?.message || 'Login failed' 
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Login failed',
+        code: error.response?.data?.code,
+        // Seconds until sign-in is allowed again after too many attempts
+        retryAfter: error.response?.status === 429 ? error.response.data.retryAfter : null
+      };
+    }
+  };
+
+  // Second login step, with either an authenticator code or a recovery code
+  const verifyTwoFactor = async (challenge, { code, recoveryCode }) => {
+    try {
+      const response = await authRequest('/login/2fa', {
+        challenge,
+        code,
+        recoveryCode
+      });
+
+      applySession(response.data);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Verification failed',
+        expired: error.response?.status === 401,
+        retryAfter: error.response?.status === 429 ? error.response.data.retryAfter : null
       };
     }
   };
 
   const register = async (username, email, password) => {
     try {
-      const response = await axios.post('https://vid-share-backend.onrender.com/api/auth/register', {
+      const response = await authRequest('/register', {
         username,
         email,
         password
       });
 
-      const { token: newToken, user } = response.data;
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
-      setUser(user);
-
-      return { success: true };
+      // No session yet: the email address has to be confirmed first
+      return { success: true, message: response.data.message, email: response.data.email };
     } catch (error) {
       console.error('Register error:', error);
-      return { 
-        success: false, 
-        message: error.response?.data?.message || 'Registration failed' 
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Registration failed'
       };
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
-    setUser(null);
+  // Replace the cached user after a profile update
+  const updateUser = (updatedUser) => {
+    setUser(updatedUser);
+  };
+
+  // End the session on the server too, so the refresh cookie can't be used again
+  const logout = async () => {
+    try {
+      await authRequest('/logout');
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    clearSession();
   };
 
   const value = {
     user,
     token,
     login,
+    verifyTwoFactor,
     register,
     logout,
+    updateUser,
     loading
   };
 
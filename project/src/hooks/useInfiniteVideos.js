@@ -0,0 +1,98 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Cursor-paginated video list that loads the next page as its end scrolls into view.
+// fetchPage({ cursor, limit }) resolves to an API response with `videos` and `nextCursor`;
+// the first page's response is kept as `firstPage` for totals. The list restarts whenever
+// `deps` change, loading `initialPages` pages at once so a deep link shows as much as before.
+const useInfiniteVideos = (fetchPage, deps, { pageSize = 12, initialPages = 1 } = {}) => {
+  const [videos, setVideos] = useState([]);
+  const [firstPage, setFirstPage] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [pages, setPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  const [sentinel, setSentinel] = useState(null);
+  const requestRef = useRef(0);
+  const fetchPageRef = useRef(fetchPage);
+  fetchPageRef.current = fetchPage;
+
+  useEffect(() => {
+    const request = ++requestRef.current;
+    setLoading(true);
+    setLoadingMore(false);
+    setError('');
+
+    fetchPageRef.current({ limit: pageSize * initialPages })
+      .then((data) => {
+        if (request !== requestRef.current) return;
+        setVideos(data.videos);
+        setFirstPage(data);
+        setNextCursor(data.nextCursor);
+        setPages(Math.max(1, Math.ceil(data.videos.length / pageSize)));
+      })
+      .catch((error) => {
+        if (request !== requestRef.current) return;
+        console.error('Error fetching videos:', error);
+        setError(error.response?.data?.message || 'Failed to load videos');
+        setVideos([]);
+        setFirstPage(null);
+        setNextCursor(null);
+      })
+      .finally(() => {
+        if (request === requestRef.current) setLoading(false);
+      });
+  }, deps);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loading || loadingMore) return;
+
+    const request = requestRef.current;
+    setLoadingMore(true);
+
+    try {
+      const data = await fetchPageRef.current({ cursor: nextCursor, limit: pageSize });
+      if (request !== requestRef.current) return;
+      setVideos((prev) => {
+        const seen = new Set(prev.map((video) => video._id));
+        return [...prev, ...data.videos.filter((video) => !seen.has(video._id))];
+      });
+      setNextCursor(data.nextCursor);
+      setPages((prev) => prev + 1);
+    } catch (error) {
+      if (request !== requestRef.current) return;
+      console.error('Error fetching more videos:', error);
+      setError(error.response?.data?.message || 'Failed to load more videos');
+      setNextCursor(null);
+    } finally {
+      if (request === requestRef.current) setLoadingMore(false);
+    }
+  }, [nextCursor, loading, loadingMore, pageSize]);
+
+  // Observe the sentinel afresh after every load, so a sentinel that is
+  // still on screen (short pages, tall windows) keeps loading
+  useEffect(() => {
+    if (!sentinel || !nextCursor || loading || loadingMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [sentinel, nextCursor, loading, loadingMore, loadMore]);
+
+  return {
+    videos,
+    setVideos,
+    firstPage,
+    pages,
+    loading,
+    loadingMore,
+    hasMore: Boolean(nextCursor),
+    error,
+    sentinelRef: setSentinel
+  };
+};
+
+export default useInfiniteVideos;
@@ -0,0 +1,119 @@
+import { useRef, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Seconds of actual playback before a view is reported
+const VIEW_THRESHOLD_SECONDS = 5;
+
+// Seconds of playback collected before watch time is reported
+const REPORT_INTERVAL_SECONDS = 15;
+
+// Must match the server's retention slice count
+const RETENTION_BUCKETS = 20;
+
+// Random per-browser id so anonymous replays can be deduplicated
+const getViewerSession = () => {
+  let sessionId = localStorage.getItem('viewerSession');
+  if (!sessionId) {
+    sessionId = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem('viewerSession', sessionId);
+  }
+  return sessionId;
+};
+
+const freshState = () => ({
+  seconds: 0,
+  lastTime: null,
+  reported: false,
+  pendingSeconds: 0,
+  pendingBuckets: new Set(),
+  seenBuckets: new Set()
+});
+
+// Reports a view for videoId once it has really been watched, and feeds
+// watch time and retention to creator analytics. Returns a callback to
+// pass the player's progress events to. Embedded players don't report
+// progress, so those views are counted after the same threshold instead.
+const usePlaybackTracking = (videoId, { embedded = false, onCounted } = {}) => {
+  const stateRef = useRef(freshState());
+  const onCountedRef = useRef(onCounted);
+  onCountedRef.current = onCounted;
+
+  const recordView = useCallback((watchedSeconds) => {
+    stateRef.current.reported = true;
+
+    axios.post(`https://vid-share-backend.onrender.com/api/videos/${videoId}/view`, {
+      watchedSeconds,
+      sessionId: getViewerSession()
+    })
+      .then((response) => {
+        if (response.data.counted && onCountedRef.current) {
+          onCountedRef.current(response.data.views);
+        }
+      })
+      .catch((error) => console.error('Error recording view:', error));
+  }, [videoId]);
+
+  const flushPlayback = useCallback((state) => {
+    // Playback only counts against a view, so hold it until the view has been reported
+    if (!state.reported) return;
+    if (state.pendingSeconds < 1 && state.pendingBuckets.size === 0) return;
+
+    const report = {
+      watchedSeconds: Math.round(state.pendingSeconds),
+      buckets: [...state.pendingBuckets]
+    };
+    state.pendingSeconds = 0;
+    state.pendingBuckets = new Set();
+
+    axios.post(`https://vid-share-backend.onrender.com/api/analytics/videos/${videoId}/playback`, report)
+      .catch((error) => console.error('Error reporting playback:', error));
+  }, [videoId]);
+
+  useEffect(() => {
+    const state = freshState();
+    stateRef.current = state;
+    if (!videoId) return;
+
+    const timeout = embedded
+      ? setTimeout(() => recordView(VIEW_THRESHOLD_SECONDS), VIEW_THRESHOLD_SECONDS * 1000)
+      : null;
+
+    // Send whatever is left when the video changes or the page closes
+    return () => {
+      clearTimeout(timeout);
+      flushPlayback(state);
+    };
+  }, [videoId, embedded, recordView, flushPlayback]);
+
+  // Seeking doesn't add watched time, only small forward steps during playback do
+  return useCallback(({ currentTime, duration, paused }) => {
+    const state = stateRef.current;
+
+    const delta = state.lastTime === null ? 0 : currentTime - state.lastTime;
+    const playing = !paused && delta > 0 && delta < 2;
+    state.lastTime = currentTime;
+
+    if (playing) {
+      state.seconds += delta;
+      state.pendingSeconds += delta;
+
+      if (duration > 0) {
+        const bucket = Math.min(RETENTION_BUCKETS - 1, Math.floor((currentTime / duration) * RETENTION_BUCKETS));
+        if (!state.seenBuckets.has(bucket)) {
+          state.seenBuckets.add(bucket);
+          state.pendingBuckets.add(bucket);
+        }
+      }
+    }
+
+    if (!state.reported && state.seconds >= VIEW_THRESHOLD_SECONDS) {
+      recordView(Math.floor(state.seconds));
+    }
+
+    if (paused || state.pendingSeconds >= REPORT_INTERVAL_SECONDS) {
+      flushPlayback(state);
+    }
+  }, [recordView, flushPlayback]);
+};
+
+export default usePlaybackTracking;
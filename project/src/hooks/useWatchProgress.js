@@ -0,0 +1,48 @@
+import { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+
+// The progress endpoint accepts at most this many ids per request
+const BATCH_SIZE = 100;
+
+// Saved playback positions for a list of videos, keyed by video id.
+// Empty for signed-out visitors. Videos appended to the list (infinite scroll)
+// are looked up on their own rather than refetching the whole list.
+const useWatchProgress = (videos) => {
+  const { user } = useAuth();
+  const [progress, setProgress] = useState({});
+  const requestedRef = useRef(new Set());
+  const ids = videos.map((video) => video._id).join(',');
+
+  useEffect(() => {
+    requestedRef.current = new Set();
+    setProgress({});
+  }, [user]);
+
+  useEffect(() => {
+    if (!user || !ids) return;
+
+    const missing = ids.split(',').filter((id) => !requestedRef.current.has(id));
+    if (missing.length === 0) return;
+    missing.forEach((id) => requestedRef.current.add(id));
+
+    for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+      const batch = missing.slice(i, i + BATCH_SIZE);
+      axios.get('https://vid-share-backend.onrender.com/api/history/progress', { params: { videos: batch.join(',') } })
+        .then((response) => {
+          // Dropped if the user changed while the request was in flight
+          if (requestedRef.current.has(batch[0])) {
+            setProgress((prev) => ({ ...prev, ...response.data }));
+          }
+        })
+        .catch((error) => {
+          console.error('Error fetching watch progress:', error);
+          batch.forEach((id) => requestedRef.current.delete(id));
+        });
+    }
+  }, [user, ids]);
+
+  return progress;
+};
+
+export default useWatchProgress;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import LineChart from '../components/LineChart';
+import { BarChart3, Loader, ArrowLeft, Eye, Users, Heart, Clock, Timer } from 'lucide-react';
+
+const inputClassName = 'px-3 py-2 bg-slate-700/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+const rangePresets = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 28, label: 'Last 28 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last 365 days' }
+];
+
+const metricTabs = [
+  { key: 'views', label: 'Views', icon: Eye, color: '#3b82f6' },
+  // Viewers are only deduplicated within a day, so the range total counts a returning viewer once per day
+  { key: 'uniqueViewers', label: 'Unique viewers', hint: 'Sum of daily unique viewers', icon: Users, color: '#8b5cf6' },
+  { key: 'likes', label: 'Likes gained', icon: Heart, color: '#ef4444' },
+  { key: 'watchTime', label: 'Watch time', icon: Clock, color: '#10b981' }
+];
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const daysAgo = (days) => formatDay(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+
+const formatNumber = (num) => {
+  if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
+  if (num >= 1000) return `${(num / 1000).toFixed(1)}K`;
+  return Math.round(num).toString();
+};
+
+const formatDuration = (seconds) => {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+const formatMetric = (key, value) => (key === 'watchTime' ? formatDuration(value) : formatNumber(value));
+
+const Analytics = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const videoId = searchParams.get('video');
+  const from = searchParams.get('from') || daysAgo(27);
+  const to = searchParams.get('to') || formatDay(new Date());
+  const [data, setData] = useState(null);
+  const [metric, setMetric] = useState('views');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [videoId, from, to]);
+
+  const fetchAnalytics = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const url = videoId
+        ? `https://vid-share-backend.onrender.com/api/analytics/videos/${videoId}`
+        : 'https://vid-share-backend.onrender.com/api/analytics/channel';
+      const response = await axios.get(url, { params: { from, to } });
+      setData(response.data);
+    } catch (error) {
+      console.error('Error fetching analytics:', error);
+      setError(error.response?.data?.message || 'Failed to load analytics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next);
+  };
+
+  const handlePreset = (e) => {
+    const days = Number(e.target.value);
+    if (days) {
+      updateParams({ from: daysAgo(days - 1), to: formatDay(new Date()) });
+    }
+  };
+
+  const activePreset = rangePresets.find((preset) => (
+    from === daysAgo(preset.days - 1) && to === formatDay(new Date())
+  ));
+
+  const activeTab = metricTabs.find((tab) => tab.key === metric);
+
+  return (
+    <div className="min-h-screen py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4 mb-8">
+          <div>
+            {videoId && (
+              <button
+                onClick={() => updateParams({ video: null })}
+                className="inline-flex items-center text-sm text-blue-400 hover:text-blue-300 mb-2 transition-colors"
+              >
+                <ArrowLeft className="h-4 w-4 mr-1" />
+                Channel analytics
+              </button>
+            )}
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent">
+              {videoId ? data?.video?.title || 'Video analytics' : 'Channel Analytics'}
+            </h1>
+            {videoId && data?.video && (
+              <Link to={`/video/${videoId}`} className="text-sm text-slate-400 hover:text-white transition-colors">
+                Watch video
+              </Link>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={activePreset?.days || ''} onChange={handlePreset} className={inputClassName}>
+              {!activePreset && <option value="">Custom range</option>}
+              {rangePresets.map((preset) => (
+                <option key={preset.days} value={preset.days}>{preset.label}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={from}
+              max={to}
+              onChange={(e) => updateParams({ from: e.target.value })}
+              className={inputClassName}
+            />
+            <span className="text-slate-400">to</span>
+            <input
+              type="date"
+              value={to}
+              min={from}
+              onChange={(e) => updateParams({ to: e.target.value })}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {loading && !data ? (
+          <div className="flex justify-center py-16">
+            <Loader className="h-12 w-12 animate-spin text-blue-500" />
+          </div>
+        ) : data && (
+          <div className={`space-y-8 ${loading ? 'opacity-50' : ''}`}>
+            {/* Totals */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              {metricTabs.map((tab) => (
+                <button
+                  key={tab.key}
+                  onClick={() => setMetric(tab.key)}
+                  className={`text-left p-4 rounded-xl border transition-colors ${
+                    metric === tab.key
+                      ? 'bg-slate-800/60 border-blue-500/50'
+                      : 'bg-slate-800/30 border-slate-700/50 hover:border-slate-600/50'
+                  }`}
+                >
+                  <div className="flex items-center space-x-2 text-slate-400 text-sm">
+                    <tab.icon className="h-4 w-4" />
+                    <span>{tab.label}</span>
+                  </div>
+                  <div className="mt-2 text-2xl font-bold text-white">
+                    {formatMetric(tab.key, data.totals[tab.key])}
+                  </div>
+                  {tab.hint && (
+                    <div className="mt-1 text-xs text-slate-500">{tab.hint}</div>
+                  )}
+                </button>
+              ))}
+              <div className="p-4 rounded-xl border bg-slate-800/30 border-slate-700/50">
+                <div className="flex items-center space-x-2 text-slate-400 text-sm">
+                  <Timer className="h-4 w-4" />
+                  <span>Avg. view duration</span>
+                </div>
+                <div className="mt-2 text-2xl font-bold text-white">
+                  {formatDuration(data.totals.averageViewDuration)}
+                </div>
+              </div>
+            </div>
+
+            {/* Daily chart */}
+            <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-6">
+              <h2 className="text-lg font-semibold text-white mb-4">{activeTab.label} per day</h2>
+              <LineChart
+                points={data.series.map((point) => ({ label: point.date.slice(5), value: point[metric] }))}
+                formatValue={(value) => formatMetric(metric, value)}
+                color={activeTab.color}
+              />
+            </div>
+
+            {/* Retention */}
+            {videoId && (
+              <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-6">
+                <h2 className="text-lg font-semibold text-white mb-1">Audience retention</h2>
+                <p className="text-slate-400 text-sm mb-4">
+                  Share of plays still watching at each point of the video
+                </p>
+                {data.retention.some((point) => point.percent > 0) ? (
+                  <LineChart
+                    points={data.retention.map((point) => ({
+                      label: data.video.duration
+                        ? formatDuration(point.position * data.video.duration)
+                        : `${Math.round(point.position * 100)}%`,
+                      value: point.percent
+                    }))}
+                    formatValue={(value) => `${Math.round(value)}%`}
+                    maxValue={100}
+                    color="#f59e0b"
+                  />
+                ) : (
+                  <p className="text-slate-400 text-center py-8">No playback data in this range yet.</p>
+                )}
+              </div>
+            )}
+
+            {/* Top videos */}
+            {!videoId && (
+              <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-6">
+                <h2 className="text-lg font-semibold text-white mb-4">Top videos</h2>
+                {data.topVideos.length > 0 ? (
+                  <div className="divide-y divide-slate-700/50">
+                    {data.topVideos.map((entry) => (
+                      <button
+                        key={entry.video._id}
+                        onClick={() => updateParams({ video: entry.video._id })}
+                        className="w-full flex items-center space-x-4 py-3 text-left hover:bg-slate-800/40 transition-colors"
+                      >
+                        <img
+                          src={entry.video.thumbnailUrl}
+                          alt={entry.video.title}
+                          className="w-24 aspect-video rounded object-cover bg-slate-700 flex-shrink-0"
+                        />
+                        <span className="flex-1 min-w-0 text-white font-medium truncate">{entry.video.title}</span>
+                        <span className="w-20 text-right text-slate-300">{formatNumber(entry.views)} views</span>
+                        <span className="hidden sm:block w-24 text-right text-slate-400">{formatDuration(entry.watchTime)}</span>
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="text-center py-8">
+                    <BarChart3 className="h-12 w-12 text-slate-600 mx-auto mb-3" />
+                    <p className="text-slate-400">No views in this range yet.</p>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Analytics;
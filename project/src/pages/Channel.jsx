@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import VideoCard from '../components/VideoCard';
+import useWatchProgress from '../hooks/useWatchProgress';
+import { Video, Calendar, Loader, ArrowLeft } from 'lucide-react';
+import axios from 'axios';
+
+const sortOptions = [
+  { label: 'Newest', value: 'newest' },
+  { label: 'Most Viewed', value: 'views' },
+  { label: 'Most Liked', value: 'likes' }
+];
+
+const Channel = () => {
+  const { username } = useParams();
+  const navigate = useNavigate();
+  const [channel, setChannel] = useState(null);
+  const [videos, setVideos] = useState([]);
+  const [sort, setSort] = useState('newest');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [loadingVideos, setLoadingVideos] = useState(false);
+  const [error, setError] = useState('');
+  const watchProgress = useWatchProgress(videos);
+
+  useEffect(() => {
+    fetchChannel();
+  }, [username]);
+
+  useEffect(() => {
+    fetchVideos(1);
+  }, [username, sort]);
+
+  const fetchChannel = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await axios.get(
+        `https://vid-share-backend.onrender.com/api/users/channel/${encodeURIComponent(username)}`
+      );
+      setChannel(response.data.channel);
+    } catch (error) {
+      console.error('Error fetching channel:', error);
+      setError('Channel not found');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchVideos = async (pageToLoad) => {
+    try {
+      setLoadingVideos(true);
+      const response = await axios.get(
+        `https://vid-share-backend.onrender.com/api/users/channel/${encodeURIComponent(username)}/videos`,
+        { params: { sort, page: pageToLoad } }
+      );
+      setVideos((prev) => (pageToLoad === 1 ? response.data.videos : [...prev, ...response.data.videos]));
+      setTotalPages(response.data.totalPages);
+      setPage(pageToLoad);
+    } catch (error) {
+      console.error('Error fetching channel videos:', error);
+    } finally {
+      setLoadingVideos(false);
+    }
+  };
+
+  const formatNumber = (num) => {
+    if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
+    if (num >= 1000) return `${(num / 1000).toFixed(1)}K`;
+    return num.toString();
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <Loader className="h-12 w-12 animate-spin text-blue-500 mx-auto mb-4" />
+          <p className="text-slate-400">Loading channel...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !channel) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-8 max-w-md">
+            <h2 className="text-xl font-semibold text-white mb-4">Channel Not Found</h2>
+            <p className="text-slate-400 mb-6">{error}</p>
+            <button
+              onClick={() => navigate('/')}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+            >
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Home
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Channel Header */}
+        <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-8 mb-8">
+          <div className="flex flex-col md:flex-row md:items-center md:space-x-8">
+            {/* Avatar */}
+            <div className="flex-shrink-0 mb-6 md:mb-0">
+              {channel.avatar ? (
+                <img
+                  src={channel.avatar}
+                  alt={channel.username}
+                  className="w-24 h-24 rounded-full object-cover"
+                />
+              ) : (
+                <div className="w-24 h-24 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-white text-3xl font-bold">
+                  {channel.username[0].toUpperCase()}
+                </div>
+              )}
+            </div>
+
+            {/* Channel Info */}
+            <div className="flex-1">
+              <h1 className="text-3xl font-bold text-white mb-2">
+                {channel.username}
+              </h1>
+              <p className="text-slate-400 mb-4">
+                {formatNumber(channel.subscriberCount)} subscriber{channel.subscriberCount !== 1 ? 's' : ''}
+              </p>
+
+              {channel.bio && (
+                <p className="text-slate-300 mb-4">{channel.bio}</p>
+              )}
+
+              <div className="flex items-center text-slate-400 text-sm">
+                <Calendar className="h-4 w-4 mr-2" />
+                <span>Joined {formatDate(channel.createdAt)}</span>
+              </div>
+            </div>
+
+            {/* Stats */}
+            <div className="grid grid-cols-3 gap-6 mt-6 md:mt-0">
+              <div className="text-center">
+                <div className="text-2xl font-bold text-white">
+                  {channel.totalVideos}
+                </div>
+                <div className="text-slate-400 text-sm">Videos</div>
+              </div>
+              <div className="text-center">
+                <div className="text-2xl font-bold text-white">
+                  {formatNumber(channel.totalViews)}
+                </div>
+                <div className="text-slate-400 text-sm">Views</div>
+              </div>
+              <div className="text-center">
+                <div className="text-2xl font-bold text-white">
+                  {formatNumber(channel.totalLikes)}
+                </div>
+                <div className="text-slate-400 text-sm">Likes</div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Videos Section */}
+        <div>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <h2 className="text-2xl font-bold text-white">Videos</h2>
+            <div className="flex items-center space-x-2">
+              {sortOptions.map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => setSort(option.value)}
+                  className={`px-4 py-2 rounded-lg text-sm transition-colors ${
+                    sort === option.value
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-slate-700/50 text-slate-300 hover:bg-slate-700'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {videos.length > 0 ? (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                {videos.map((video) => (
+                  <VideoCard key={video._id} video={video} progress={watchProgress[video._id]} />
+                ))}
+              </div>
+
+              {page < totalPages && (
+                <div className="text-center mt-8">
+                  <button
+                    onClick={() => fetchVideos(page + 1)}
+                    disabled={loadingVideos}
+                    className="inline-flex items-center px-6 py-3 bg-slate-700/50 hover:bg-slate-700 text-white font-medium rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    {loadingVideos && <Loader className="h-5 w-5 animate-spin mr-2" />}
+                    Load More
+                  </button>
+                </div>
+              )}
+            </>
+          ) : loadingVideos ? (
+            <div className="flex justify-center py-16">
+              <Loader className="h-8 w-8 animate-spin text-blue-500" />
+            </div>
+          ) : (
+            <div className="text-center py-16">
+              <Video className="h-16 w-16 text-slate-600 mx-auto mb-4" />
+              <h3 className="text-xl font-semibold text-slate-300 mb-2">
+                No videos yet
+              </h3>
+              <p className="text-slate-400">
+                This channel hasn't shared any public videos.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Channel;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import VideoCard from '../components/VideoCard';
+import { History as HistoryIcon, Loader, Trash2, X } from 'lucide-react';
+
+const History = () => {
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  useEffect(() => {
+    fetchHistory(1);
+  }, []);
+
+  const fetchHistory = async (pageToLoad) => {
+    try {
+      pageToLoad === 1 ? setLoading(true) : setLoadingMore(true);
+      const response = await axios.get(
+        `https://vid-share-backend.onrender.com/api/history?page=${pageToLoad}`
+      );
+      setEntries((prev) => (pageToLoad === 1 ? response.data.history : [...prev, ...response.data.history]));
+      setTotalPages(response.data.totalPages);
+      setPage(pageToLoad);
+    } catch (error) {
+      console.error('Error fetching watch history:', error);
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  const removeEntry = async (videoId) => {
+    try {
+      await axios.delete(`https://vid-share-backend.onrender.com/api/history/${videoId}`);
+      setEntries((prev) => prev.filter((entry) => entry.video._id !== videoId));
+    } catch (error) {
+      console.error('Error removing from history:', error);
+    }
+  };
+
+  const clearHistory = async () => {
+    if (!window.confirm('Clear your entire watch history?')) {
+      return;
+    }
+
+    try {
+      await axios.delete('https://vid-share-backend.onrender.com/api/history');
+      setEntries([]);
+      setTotalPages(1);
+    } catch (error) {
+      console.error('Error clearing history:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <Loader className="h-12 w-12 animate-spin text-blue-500 mx-auto mb-4" />
+          <p className="text-slate-400">Loading history...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent mb-2">
+              Watch History
+            </h1>
+            <p className="text-slate-400">Videos you've watched, most recent first</p>
+          </div>
+          {entries.length > 0 && (
+            <button
+              onClick={clearHistory}
+              className="inline-flex items-center px-4 py-2 bg-red-500/20 text-red-400 hover:bg-red-500/30 rounded-lg transition-colors"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              Clear all history
+            </button>
+          )}
+        </div>
+
+        {entries.length > 0 ? (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+              {entries.map((entry) => (
+                <div key={entry._id} className="relative">
+                  <VideoCard video={entry.video} progress={entry} />
+                  <button
+                    onClick={() => removeEntry(entry.video._id)}
+                    title="Remove from history"
+                    className="absolute top-2 right-2 z-10 bg-black/70 hover:bg-black/90 text-white p-1.5 rounded-full transition-colors"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            {page < totalPages && (
+              <div className="text-center mt-8">
+                <button
+                  onClick={() => fetchHistory(page + 1)}
+                  disabled={loadingMore}
+                  className="inline-flex items-center px-6 py-3 bg-slate-700/50 hover:bg-slate-700 text-white font-medium rounded-lg transition-colors disabled:opacity-50"
+                >
+                  {loadingMore && <Loader className="h-5 w-5 animate-spin mr-2" />}
+                  Load More
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-center py-16">
+            <HistoryIcon className="h-16 w-16 text-slate-600 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-slate-300 mb-2">
+              Your watch history is empty
+            </h3>
+            <p className="text-slate-400 mb-6">
+              Videos you watch will show up here so you can pick up where you left off.
+            </p>
+            <Link
+              to="/"
+              className="inline-flex items-center px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
+            >
+              Discover Videos
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default History;
@@ -2,42 +2,137 @@ import React, { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import VideoCard from '../components/VideoCard';
-import { Search, Loader } from 'lucide-react';
+import VideoCardSkeleton from '../components/VideoCardSkeleton';
+import useWatchProgress from '../hooks/useWatchProgress';
+import useInfiniteVideos from '../hooks/useInfiniteVideos';
+import { videoCategories } from '../constants/categories';
+import { Search, Loader, SlidersHorizontal, X, Flame, Clock, Heart } from 'lucide-react';
+
+const selectClassName = 'px-3 py-2 bg-slate-700/50 border border-slate-600 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+const uploadDateOptions = [
+  { value: '', label: 'Any time' },
+  { value: 'today', label: 'Today', days: 1 },
+  { value: 'week', label: 'This week', days: 7 },
+  { value: 'month', label: 'This month', days: 30 },
+  { value: 'year', label: 'This year', days: 365 }
+];
+
+const durationOptions = [
+  { value: '', label: 'Any length' },
+  { value: 'short', label: 'Under 4 minutes' },
+  { value: 'medium', label: '4-20 minutes' },
+  { value: 'long', label: 'Over 20 minutes' }
+];
+
+const sortOptions = [
+  { value: 'relevance', label: 'Relevance', searchOnly: true },
+  { value: 'trending', label: 'Trending' },
+  { value: 'date', label: 'Upload date' },
+  { value: 'views', label: 'View count' },
+  { value: 'likes', label: 'Most liked' }
+];
+
+// Shortcuts to the most common sort orders
+const feedTabs = [
+  { sort: 'trending', label: 'Trending', icon: Flame },
+  { sort: 'date', label: 'Latest', icon: Clock },
+  { sort: 'likes', label: 'Most Liked', icon: Heart }
+];
+
+// Filters kept in the URL alongside ?search=
+const filterKeys = ['sort', 'category', 'date', 'duration', 'tag', 'uploader'];
+
+const chipClassName = (active) => `flex items-center space-x-1 px-4 py-2 rounded-full text-sm font-medium whitespace-nowrap transition-colors ${
+  active ? 'bg-blue-600 text-white' : 'bg-slate-800/50 text-slate-300 hover:bg-slate-700 hover:text-white'
+}`;
+
+const PAGE_SIZE = 12;
+// Deep links restore at most this many pages in one request
+const MAX_RESTORED_PAGES = 10;
 
 const Home = () => {
-  const [videos, setVideos] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [searchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const searchQuery = searchParams.get('search') || '';
+  const filters = Object.fromEntries(filterKeys.map((key) => [key, searchParams.get(key) || '']));
+  const [textFilters, setTextFilters] = useState({ tag: filters.tag, uploader: filters.uploader });
+  const hasFilters = filterKeys.some((key) => filters[key]);
+  const activeSort = filters.sort || (searchQuery ? 'relevance' : 'date');
+  // Everything that selects the list, but not how far down it has been scrolled
+  const listKey = JSON.stringify([searchQuery, ...filterKeys.map((key) => filters[key])]);
+  const restoredPages = Math.min(Math.max(parseInt(searchParams.get('page'), 10) || 1, 1), MAX_RESTORED_PAGES);
+
+  const fetchPage = async ({ cursor, limit }) => {
+    const uploadDate = uploadDateOptions.find((option) => option.value === filters.date);
+    const params = {
+      search: searchQuery || undefined,
+      // Relevance only applies to a text search
+      sort: filters.sort && (searchQuery || filters.sort !== 'relevance') ? filters.sort : undefined,
+      category: filters.category || undefined,
+      duration: filters.duration || undefined,
+      tag: filters.tag || undefined,
+      uploader: filters.uploader || undefined,
+      from: uploadDate?.days
+        ? new Date(Date.now() - uploadDate.days * 24 * 60 * 60 * 1000).toISOString()
+        : undefined,
+      cursor,
+      limit
+    };
+
+    const response = await axios.get('https://vid-share-backend.onrender.com/api/videos', { params });
+    return response.data;
+  };
+
+  const { videos, firstPage, pages, loading, loadingMore, hasMore, error, sentinelRef } = useInfiniteVideos(
+    fetchPage,
+    [listKey],
+    { pageSize: PAGE_SIZE, initialPages: restoredPages }
+  );
+  const total = firstPage?.total || 0;
+  const watchProgress = useWatchProgress(videos);
 
   useEffect(() => {
-    fetchVideos();
-  }, [searchQuery]);
-
-  const fetchVideos = async () => {
-    try {
-      setLoading(true);
-      const response = await axios.get(
-        `https://vid-share-backend.onrender.com/api/videos${searchQuery ? `?search=${searchQuery}` : ''}`
-      );
-      setVideos(response.data.videos);
-    } catch (error) {
-      console.error('Error fetching videos:', error);
-    } finally {
-      setLoading(false);
+    setTextFilters({ tag: filters.tag, uploader: filters.uploader });
+  }, [listKey]);
+
+  // Keep how many pages are loaded in the URL so reloads and shared links show the same list
+  useEffect(() => {
+    if (loading || pages === 0 || pages === restoredPages) return;
+    const next = new URLSearchParams(searchParams);
+    if (pages > 1) {
+      next.set('page', pages);
+    } else {
+      next.delete('page');
     }
+    setSearchParams(next, { replace: true });
+  }, [pages, loading]);
+
+  const updateFilters = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    // A different list starts from the top
+    next.delete('page');
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next);
   };
 
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="text-center">
-          <Loader className="h-12 w-12 animate-spin text-blue-500 mx-auto mb-4" />
-          <p className="text-slate-400">Loading videos...</p>
-        </div>
-      </div>
-    );
-  }
+  const clearFilters = () => {
+    updateFilters(Object.fromEntries(filterKeys.map((key) => [key, ''])));
+  };
+
+  const handleTextFilters = (e) => {
+    e.preventDefault();
+    const tag = textFilters.tag.trim();
+    const uploader = textFilters.uploader.trim();
+    if (tag !== filters.tag || uploader !== filters.uploader) {
+      updateFilters({ tag, uploader });
+    }
+  };
 
   return (
     <div className="min-h-screen py-8">
@@ -50,7 +145,7 @@ const Home = () => {
                 Search Results for "{searchQuery}"
               </h1>
               <p className="text-slate-400">
-                {videos.length} video{videos.length !== 1 ? 's' : ''} found
+                {total} video{total !== 1 ? 's' : ''} found
               </p>
             </div>
           ) : (
@@ -65,26 +160,132 @@ const Home = () => {
           )}
         </div>
 
-        {/* Videos Grid */}
-        {videos.length > 0 ? (
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            {videos.map((video) => (
-              <VideoCard key={video._id} video={video} />
-            ))}
+        {/* Feed tabs and categories */}
+        <div className="mb-4 flex items-center gap-2 overflow-x-auto pb-2">
+          {feedTabs.map((tab) => (
+            <button
+              key={tab.sort}
+              onClick={() => updateFilters({ sort: tab.sort })}
+              className={chipClassName(activeSort === tab.sort)}
+            >
+              <tab.icon className="h-4 w-4" />
+              <span>{tab.label}</span>
+            </button>
+          ))}
+          <div className="h-6 w-px bg-slate-700 mx-1 flex-shrink-0" />
+          <button
+            onClick={() => updateFilters({ category: '' })}
+            className={chipClassName(!filters.category)}
+          >
+            All
+          </button>
+          {videoCategories.map((category) => (
+            <button
+              key={category.value}
+              onClick={() => updateFilters({ category: category.value })}
+              className={chipClassName(filters.category === category.value)}
+            >
+              {category.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Sort and filters */}
+        <div className="mb-8 bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <SlidersHorizontal className="h-5 w-5 text-slate-400" />
+            <select
+              value={activeSort}
+              onChange={(e) => updateFilters({ sort: e.target.value })}
+              className={selectClassName}
+            >
+              {sortOptions
+                .filter((option) => searchQuery || !option.searchOnly)
+                .map((option) => (
+                  <option key={option.value} value={option.value}>Sort: {option.label}</option>
+                ))}
+            </select>
+            <select
+              value={filters.date}
+              onChange={(e) => updateFilters({ date: e.target.value })}
+              className={selectClassName}
+            >
+              {uploadDateOptions.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.duration}
+              onChange={(e) => updateFilters({ duration: e.target.value })}
+              className={selectClassName}
+            >
+              {durationOptions.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <form onSubmit={handleTextFilters} className="flex flex-wrap items-center gap-3">
+              <input
+                type="text"
+                value={textFilters.tag}
+                onChange={(e) => setTextFilters({ ...textFilters, tag: e.target.value })}
+                onBlur={handleTextFilters}
+                placeholder="Tag"
+                className={`${selectClassName} w-32 placeholder-slate-400`}
+              />
+              <input
+                type="text"
+                value={textFilters.uploader}
+                onChange={(e) => setTextFilters({ ...textFilters, uploader: e.target.value })}
+                onBlur={handleTextFilters}
+                placeholder="Channel"
+                className={`${selectClassName} w-32 placeholder-slate-400`}
+              />
+            </form>
+            {hasFilters && (
+              <button
+                onClick={clearFilters}
+                className="flex items-center space-x-1 text-sm text-slate-400 hover:text-white transition-colors"
+              >
+                <X className="h-4 w-4" />
+                <span>Clear filters</span>
+              </button>
+            )}
+            {loading && <Loader className="h-4 w-4 animate-spin text-blue-500" />}
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
           </div>
-        ) : (
+        )}
+
+        {/* Videos Grid */}
+        {loading || videos.length > 0 ? (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+              {!loading && videos.map((video) => (
+                <VideoCard key={video._id} video={video} progress={watchProgress[video._id]} />
+              ))}
+              {(loading || loadingMore) && Array.from({ length: loading ? PAGE_SIZE : 4 }, (_, index) => (
+                <VideoCardSkeleton key={`skeleton-${index}`} />
+              ))}
+            </div>
+            {hasMore && <div ref={sentinelRef} className="h-1" />}
+          </>
+        ) : !error && (
           <div className="text-center py-16">
             <Search className="h-16 w-16 text-slate-600 mx-auto mb-4" />
             <h3 className="text-xl font-semibold text-slate-300 mb-2">
-              {searchQuery ? 'No videos found' : 'No videos available'}
+              {searchQuery || hasFilters ? 'No videos found' : 'No videos available'}
             </h3>
             <p className="text-slate-400 mb-6">
-              {searchQuery 
-                ? 'Try adjusting your search terms or browse all videos.' 
+              {searchQuery || hasFilters
+                ? 'Try adjusting your search terms or filters, or browse all videos.' 
                 : 'Be the first to upload and share your amazing content!'
               }
             </p>
-            {!searchQuery && (
+            {!searchQuery && !hasFilters && (
               <a
                 href="/register"
                 className="inline-flex items-center px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
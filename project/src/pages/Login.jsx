@@ -1,7 +1,10 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Eye, EyeOff, LogIn, Loader } from 'lucide-react';
+import { Eye, EyeOff, LogIn, Loader, Clock } from 'lucide-react';
+import ResendVerification from '../components/ResendVerification';
+import ProviderButtons from '../components/ProviderButtons';
+import TwoFactorForm from '../components/TwoFactorForm';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -10,7 +13,18 @@ const Login = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+  const [searchParams] = useSearchParams();
+  // Set when a provider sign-in bounces back here
+  const [error, setError] = useState(searchParams.get('authError') || '');
+  const [unverified, setUnverified] = useState(false);
+  // Set once the password checks out for an account with two-factor authentication
+  // (or when a provider sign-in needs the second step, passed in the URL fragment)
+  const [challenge, setChallenge] = useState(
+    () => new URLSearchParams(window.location.hash.slice(1)).get('challenge')
+  );
+  // When sign-in opens again after too many attempts
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [now, setNow] = useState(Date.now());
 
   const { login, user } = useAuth();
   const navigate = useNavigate();
@@ -22,6 +36,31 @@ const Login = () => {
     }
   }, [user, navigate]);
 
+  // Don't leave the provider's challenge in the address bar or history
+  useEffect(() => {
+    if (window.location.hash) {
+      navigate(`/login${window.location.search}`, { replace: true });
+    }
+  }, [navigate]);
+
+  // Tick the countdown while sign-in is locked
+  useEffect(() => {
+    if (!lockedUntil) return;
+
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= lockedUntil) {
+        setLockedUntil(0);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const secondsLeft = Math.max(Math.ceil((lockedUntil - now) / 1000), 0);
+  const countdown = `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`;
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -29,24 +68,58 @@ const Login = () => {
     });
     // Clear error when user starts typing
     if (error) setError('');
+    setUnverified(false);
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
+    setUnverified(false);
 
     const result = await login(formData.email, formData.password);
     
     if (result.success) {
       navigate('/');
+    } else if (result.challenge) {
+      setChallenge(result.challenge);
+    } else if (result.retryAfter) {
+      setNow(Date.now());
+      setLockedUntil(Date.now() + result.retryAfter * 1000);
     } else {
       setError(result.message);
+      setUnverified(result.code === 'EMAIL_NOT_VERIFIED');
     }
     
     setLoading(false);
   };
 
+  const cancelTwoFactor = (message) => {
+    setChallenge(null);
+    setError(message);
+  };
+
+  if (challenge) {
+    return (
+      <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full">
+          <div className="text-center mb-8">
+            <h2 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent">
+              Two-Factor Authentication
+            </h2>
+            <p className="mt-2 text-slate-400">
+              One more step to sign in
+            </p>
+          </div>
+
+          <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-8">
+            <TwoFactorForm challenge={challenge} onCancel={cancelTwoFactor} />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full">
@@ -62,9 +135,24 @@ const Login = () => {
 
         {/* Form */}
         <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-8">
+          {secondsLeft > 0 && (
+            <div className="mb-6 p-4 bg-amber-500/10 border border-amber-500/20 rounded-lg flex items-start space-x-3">
+              <Clock className="h-5 w-5 text-amber-400 flex-shrink-0" />
+              <p className="text-amber-300 text-sm">
+                Too many sign-in attempts. For your security, signing in is paused
+                for a while. You can try again in {countdown}.
+              </p>
+            </div>
+          )}
+
           {error && (
             <div className="mb-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
               <p className="text-red-400 text-sm">{error}</p>
+              {unverified && (
+                <div className="mt-3">
+                  <ResendVerification email={formData.email} />
+                </div>
+              )}
             </div>
           )}
 
@@ -86,9 +174,17 @@ const Login = () => {
             </div>
 
             <div>
-              <label htmlFor="password" className="block text-sm font-medium text-slate-300 mb-2">
-                Password
-              </label>
+              <div className="flex items-center justify-between mb-2">
+                <label htmlFor="password" className="block text-sm font-medium text-slate-300">
+                  Password
+                </label>
+                <Link
+                  to="/forgot-password"
+                  className="text-sm text-blue-400 hover:text-blue-300 transition-colors"
+                >
+                  Forgot password?
+                </Link>
+              </div>
               <div className="relative">
                 <input
                   id="password"
@@ -112,11 +208,16 @@ const Login = () => {
 
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || secondsLeft > 0}
               className="w-full flex items-center justify-center px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white font-medium rounded-lg transition-colors"
             >
               {loading ? (
                 <Loader className="h-5 w-5 animate-spin" />
+              ) : secondsLeft > 0 ? (
+                <>
+                  <Clock className="h-5 w-5 mr-2" />
+                  Try again in {countdown}
+                </>
               ) : (
                 <>
                   <LogIn className="h-5 w-5 mr-2" />
@@ -126,6 +227,8 @@ const Login = () => {
             </button>
           </form>
 
+          <ProviderButtons />
+
           <div className="mt-6 pt-6 border-t border-slate-700">
             <p className="text-center text-slate-400">
               Don't have an account?{' '}
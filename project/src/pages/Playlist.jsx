@@ -0,0 +1,377 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import VideoPlayer from '../components/VideoPlayer';
+import usePlaybackTracking from '../hooks/usePlaybackTracking';
+import { ListVideo, Loader, ArrowLeft, ChevronUp, ChevronDown, X, Pencil, Trash2, Lock, Link as LinkIcon, SkipForward } from 'lucide-react';
+import axios from 'axios';
+
+const inputClassName = 'w-full px-4 py-3 bg-slate-700/50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+const Playlist = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [playlist, setPlaylist] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [autoplay, setAutoplay] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [formData, setFormData] = useState({ title: '', description: '', visibility: 'public' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPlaylist();
+  }, [id]);
+
+  const fetchPlaylist = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`https://vid-share-backend.onrender.com/api/playlists/${id}`);
+      setPlaylist(response.data);
+    } catch (error) {
+      console.error('Error fetching playlist:', error);
+      setError('Playlist not found or unavailable');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isOwner = user && playlist && user.id === playlist.owner._id;
+  const videos = playlist?.videos || [];
+  const currentIndex = Math.max(0, videos.findIndex((video) => video._id === searchParams.get('v')));
+  const currentVideo = videos[currentIndex];
+  const nextVideo = videos[currentIndex + 1];
+  const trackPlayback = usePlaybackTracking(currentVideo?._id, {
+    embedded: Boolean(currentVideo?.videoUrl.includes('drive.google.com'))
+  });
+
+  const playVideo = (videoId) => {
+    setSearchParams({ v: videoId });
+  };
+
+  const handleEnded = () => {
+    if (autoplay && nextVideo) {
+      playVideo(nextVideo._id);
+    }
+  };
+
+  const saveOrder = async (reordered) => {
+    const previous = playlist.videos;
+    setPlaylist({ ...playlist, videos: reordered });
+
+    try {
+      await axios.put(`https://vid-share-backend.onrender.com/api/playlists/${id}/order`, {
+        videoIds: reordered.map((video) => video._id)
+      });
+    } catch (error) {
+      console.error('Error reordering playlist:', error);
+      setPlaylist((prev) => ({ ...prev, videos: previous }));
+      setError(error.response?.data?.message || 'Failed to reorder playlist');
+    }
+  };
+
+  const moveVideo = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= videos.length) return;
+
+    const reordered = [...videos];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    saveOrder(reordered);
+  };
+
+  const removeVideo = async (videoId) => {
+    try {
+      await axios.delete(`https://vid-share-backend.onrender.com/api/playlists/${id}/videos/${videoId}`);
+      setPlaylist((prev) => ({ ...prev, videos: prev.videos.filter((video) => video._id !== videoId) }));
+    } catch (error) {
+      console.error('Error removing video from playlist:', error);
+    }
+  };
+
+  const startEditing = () => {
+    setFormData({
+      title: playlist.title,
+      description: playlist.description || '',
+      visibility: playlist.visibility
+    });
+    setEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      const response = await axios.patch(`https://vid-share-backend.onrender.com/api/playlists/${id}`, formData);
+      setPlaylist((prev) => ({ ...prev, ...response.data, videos: prev.videos }));
+      setEditing(false);
+    } catch (error) {
+      console.error('Error updating playlist:', error);
+      setError(error.response?.data?.message || 'Failed to update playlist');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this playlist? The videos in it will not be deleted.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`https://vid-share-backend.onrender.com/api/playlists/${id}`);
+      navigate('/profile');
+    } catch (error) {
+      console.error('Error deleting playlist:', error);
+      setError('Failed to delete playlist');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <Loader className="h-12 w-12 animate-spin text-blue-500 mx-auto mb-4" />
+          <p className="text-slate-400">Loading playlist...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!playlist) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-8 max-w-md">
+            <h2 className="text-xl font-semibold text-white mb-4">Playlist Not Found</h2>
+            <p className="text-slate-400 mb-6">{error}</p>
+            <button
+              onClick={() => navigate('/')}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+            >
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Home
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen py-6">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        {error && (
+          <div className="mb-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Current video */}
+          <div className="lg:col-span-2 space-y-6">
+            {currentVideo ? (
+              <>
+                <div className="aspect-video">
+                  <VideoPlayer
+                    key={currentVideo._id}
+                    src={currentVideo.videoUrl}
+                    hlsSrc={currentVideo.hls?.masterUrl}
+                    poster={currentVideo.thumbnailUrl}
+                    autoPlay={searchParams.has('v')}
+                    onEnded={handleEnded}
+                    onProgress={trackPlayback}
+                  />
+                </div>
+
+                <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-6">
+                  <Link
+                    to={`/video/${currentVideo._id}`}
+                    className="text-2xl font-bold text-white hover:text-blue-400 transition-colors"
+                  >
+                    {currentVideo.title}
+                  </Link>
+                  <p className="mt-2 text-slate-400">
+                    <Link
+                      to={`/channel/${currentVideo.uploader.username}`}
+                      className="hover:text-blue-400 transition-colors"
+                    >
+                      {currentVideo.uploader.username}
+                    </Link>
+                  </p>
+                  {nextVideo && (
+                    <p className="mt-4 flex items-center text-sm text-slate-400">
+                      <SkipForward className="h-4 w-4 mr-2" />
+                      Up next: <span className="ml-1 text-slate-300">{nextVideo.title}</span>
+                    </p>
+                  )}
+                </div>
+              </>
+            ) : (
+              <div className="text-center py-16 bg-slate-800/30 rounded-xl border border-slate-700/50">
+                <ListVideo className="h-16 w-16 text-slate-600 mx-auto mb-4" />
+                <h3 className="text-xl font-semibold text-slate-300 mb-2">
+                  This playlist is empty
+                </h3>
+                <p className="text-slate-400">
+                  Use the Save button on any video to add it here.
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* Playlist sidebar */}
+          <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-6 h-fit">
+            {editing ? (
+              <form onSubmit={handleSave} className="space-y-3 mb-6">
+                <input
+                  type="text"
+                  value={formData.title}
+                  onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                  required
+                  maxLength={150}
+                  className={inputClassName}
+                />
+                <textarea
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  rows={3}
+                  maxLength={2000}
+                  placeholder="Description"
+                  className={`${inputClassName} resize-none`}
+                />
+                <select
+                  value={formData.visibility}
+                  onChange={(e) => setFormData({ ...formData, visibility: e.target.value })}
+                  className={inputClassName}
+                >
+                  <option value="public">Public</option>
+                  <option value="unlisted">Unlisted</option>
+                  <option value="private">Private</option>
+                </select>
+                <div className="flex justify-end space-x-2">
+                  <button
+                    type="button"
+                    onClick={() => setEditing(false)}
+                    className="px-4 py-2 text-slate-300 hover:text-white transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white rounded-lg transition-colors"
+                  >
+                    {saving ? <Loader className="h-4 w-4 animate-spin" /> : 'Save'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="mb-6">
+                <div className="flex items-start justify-between">
+                  <h1 className="text-xl font-bold text-white">{playlist.title}</h1>
+                  {isOwner && (
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={startEditing}
+                        className="text-slate-400 hover:text-white transition-colors"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={handleDelete}
+                        className="text-slate-400 hover:text-red-400 transition-colors"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <div className="mt-1 flex items-center space-x-2 text-sm text-slate-400">
+                  <span>{playlist.owner.username}</span>
+                  <span>•</span>
+                  <span>{videos.length} video{videos.length !== 1 ? 's' : ''}</span>
+                  {playlist.visibility !== 'public' && (
+                    <>
+                      <span>•</span>
+                      {playlist.visibility === 'private' ? <Lock className="h-3 w-3" /> : <LinkIcon className="h-3 w-3" />}
+                      <span className="capitalize">{playlist.visibility}</span>
+                    </>
+                  )}
+                </div>
+                {playlist.description && (
+                  <p className="mt-3 text-sm text-slate-300 whitespace-pre-wrap">{playlist.description}</p>
+                )}
+                <label className="mt-4 flex items-center space-x-2 text-sm text-slate-300 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={autoplay}
+                    onChange={(e) => setAutoplay(e.target.checked)}
+                    className="h-4 w-4 accent-blue-500"
+                  />
+                  <span>Autoplay next video</span>
+                </label>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              {videos.map((video, index) => (
+                <div
+                  key={video._id}
+                  className={`flex items-center space-x-3 p-2 rounded-lg transition-colors ${
+                    index === currentIndex ? 'bg-blue-500/20' : 'hover:bg-slate-700/50'
+                  }`}
+                >
+                  <span className="w-5 text-center text-sm text-slate-400">{index + 1}</span>
+                  <button
+                    onClick={() => playVideo(video._id)}
+                    className="flex flex-1 min-w-0 items-center space-x-3 text-left"
+                  >
+                    <img
+                      src={video.thumbnailUrl}
+                      alt={video.title}
+                      className="w-24 aspect-video flex-shrink-0 rounded object-cover bg-slate-700"
+                    />
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-white line-clamp-2">{video.title}</p>
+                      <p className="text-xs text-slate-400 truncate">{video.uploader.username}</p>
+                    </div>
+                  </button>
+                  {isOwner && (
+                    <div className="flex flex-col items-center text-slate-400">
+                      <button
+                        onClick={() => moveVideo(index, -1)}
+                        disabled={index === 0}
+                        className="hover:text-white disabled:opacity-30 transition-colors"
+                      >
+                        <ChevronUp className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => removeVideo(video._id)}
+                        className="hover:text-red-400 transition-colors"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => moveVideo(index, 1)}
+                        disabled={index === videos.length - 1}
+                        className="hover:text-white disabled:opacity-30 transition-colors"
+                      >
+                        <ChevronDown className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Playlist;
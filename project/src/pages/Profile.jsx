@@ -1,43 +1,62 @@
 import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import VideoCard from '../components/VideoCard';
-import { User, Video, Calendar, Loader } from 'lucide-react';
+import VideoCardSkeleton from '../components/VideoCardSkeleton';
+import useWatchProgress from '../hooks/useWatchProgress';
+import useInfiniteVideos from '../hooks/useInfiniteVideos';
+import EditProfile from '../components/EditProfile';
+import { Video, Calendar, Pencil, ListVideo, Lock, Link as LinkIcon, BarChart3, MonitorSmartphone, ShieldCheck } from 'lucide-react';
 import axios from 'axios';
 
+const PAGE_SIZE = 12;
+// Deep links restore at most this many pages in one request
+const MAX_RESTORED_PAGES = 10;
+
 const Profile = () => {
   const { user } = useAuth();
-  const [videos, setVideos] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [stats, setStats] = useState({
-    totalViews: 0,
-    totalLikes: 0,
-    totalVideos: 0
-  });
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [editing, setEditing] = useState(false);
+  const [playlists, setPlaylists] = useState([]);
+  const restoredPages = Math.min(Math.max(parseInt(searchParams.get('page'), 10) || 1, 1), MAX_RESTORED_PAGES);
+
+  const fetchPage = async ({ cursor, limit }) => {
+    const response = await axios.get('https://vid-share-backend.onrender.com/api/videos/user/my-videos', {
+      params: { cursor, limit }
+    });
+    return response.data;
+  };
+
+  const { videos, firstPage, pages, loading, loadingMore, hasMore, error, sentinelRef } = useInfiniteVideos(
+    fetchPage,
+    [user.id],
+    { pageSize: PAGE_SIZE, initialPages: restoredPages }
+  );
+  const stats = firstPage?.stats || { totalViews: 0, totalLikes: 0, totalVideos: 0 };
+  const watchProgress = useWatchProgress(videos);
 
   useEffect(() => {
-    fetchUserVideos();
+    fetchPlaylists();
   }, []);
 
-  const fetchUserVideos = async () => {
+  // Keep how many pages are loaded in the URL so reloads and shared links show the same list
+  useEffect(() => {
+    if (loading || pages === 0 || pages === restoredPages) return;
+    const next = new URLSearchParams(searchParams);
+    if (pages > 1) {
+      next.set('page', pages);
+    } else {
+      next.delete('page');
+    }
+    setSearchParams(next, { replace: true });
+  }, [pages, loading]);
+
+  const fetchPlaylists = async () => {
     try {
-      setLoading(true);
-      const response = await axios.get('https://vid-share-backend.onrender.com/api/videos/user/my-videos');
-      const userVideos = response.data;
-      setVideos(userVideos);
-
-      // Calculate stats
-      const totalViews = userVideos.reduce((sum, video) => sum + video.views, 0);
-      const totalLikes = userVideos.reduce((sum, video) => sum + (video.likes?.length || 0), 0);
-      
-      setStats({
-        totalViews,
-        totalLikes,
-        totalVideos: userVideos.length
-      });
+      const response = await axios.get('https://vid-share-backend.onrender.com/api/playlists/mine');
+      setPlaylists(response.data);
     } catch (error) {
-      console.error('Error fetching user videos:', error);
-    } finally {
-      setLoading(false);
+      console.error('Error fetching playlists:', error);
     }
   };
 
@@ -55,17 +74,6 @@ const Profile = () => {
     });
   };
 
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="text-center">
-          <Loader className="h-12 w-12 animate-spin text-blue-500 mx-auto mb-4" />
-          <p className="text-slate-400">Loading profile...</p>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="min-h-screen py-8">
       <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -74,9 +82,17 @@ const Profile = () => {
           <div className="flex flex-col md:flex-row md:items-center md:space-x-8">
             {/* Avatar */}
             <div className="flex-shrink-0 mb-6 md:mb-0">
-              <div className="w-24 h-24 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-white text-3xl font-bold">
-                {user.username[0].toUpperCase()}
-              </div>
+              {user.avatar ? (
+                <img
+                  src={user.avatar}
+                  alt={user.username}
+                  className="w-24 h-24 rounded-full object-cover"
+                />
+              ) : (
+                <div className="w-24 h-24 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center text-white text-3xl font-bold">
+                  {user.username[0].toUpperCase()}
+                </div>
+              )}
             </div>
 
             {/* User Info */}
@@ -94,6 +110,43 @@ const Profile = () => {
                 <Calendar className="h-4 w-4 mr-2" />
                 <span>Joined {formatDate(user.createdAt || new Date())}</span>
               </div>
+
+              <div className="mt-4 flex items-center space-x-4">
+                <button
+                  onClick={() => setEditing(!editing)}
+                  className="inline-flex items-center px-4 py-2 bg-slate-700/50 hover:bg-slate-700 text-white text-sm rounded-lg transition-colors"
+                >
+                  <Pencil className="h-4 w-4 mr-2" />
+                  Edit Profile
+                </button>
+                <Link
+                  to={`/channel/${user.username}`}
+                  className="text-blue-400 hover:text-blue-300 text-sm font-medium transition-colors"
+                >
+                  View public channel
+                </Link>
+                <Link
+                  to="/analytics"
+                  className="inline-flex items-center text-blue-400 hover:text-blue-300 text-sm font-medium transition-colors"
+                >
+                  <BarChart3 className="h-4 w-4 mr-1" />
+                  Analytics
+                </Link>
+                <Link
+                  to="/sessions"
+                  className="inline-flex items-center text-blue-400 hover:text-blue-300 text-sm font-medium transition-colors"
+                >
+                  <MonitorSmartphone className="h-4 w-4 mr-1" />
+                  Sessions
+                </Link>
+                <Link
+                  to="/two-factor"
+                  className="inline-flex items-center text-blue-400 hover:text-blue-300 text-sm font-medium transition-colors"
+                >
+                  <ShieldCheck className="h-4 w-4 mr-1" />
+                  Two-factor
+                </Link>
+              </div>
             </div>
 
             {/* Stats */}
@@ -120,6 +173,40 @@ const Profile = () => {
           </div>
         </div>
 
+        {editing && <EditProfile onClose={() => setEditing(false)} />}
+
+        {/* Playlists Section */}
+        {playlists.length > 0 && (
+          <div className="mb-8">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-2xl font-bold text-white">Your Playlists</h2>
+              <div className="flex items-center space-x-2 text-slate-400">
+                <ListVideo className="h-5 w-5" />
+                <span>{playlists.length} playlist{playlists.length !== 1 ? 's' : ''}</span>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+              {playlists.map((playlist) => (
+                <Link
+                  key={playlist._id}
+                  to={`/playlist/${playlist._id}`}
+                  className="bg-slate-800/30 hover:bg-slate-800/60 rounded-xl border border-slate-700/50 p-4 transition-colors"
+                >
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-white font-semibold truncate">{playlist.title}</h3>
+                    {playlist.visibility === 'private' && <Lock className="h-4 w-4 flex-shrink-0 text-slate-400" />}
+                    {playlist.visibility === 'unlisted' && <LinkIcon className="h-4 w-4 flex-shrink-0 text-slate-400" />}
+                  </div>
+                  <p className="mt-1 text-slate-400 text-sm">
+                    {playlist.videoCount} video{playlist.videoCount !== 1 ? 's' : ''}
+                  </p>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Videos Section */}
         <div>
           <div className="flex items-center justify-between mb-6">
@@ -130,13 +217,25 @@ const Profile = () => {
             </div>
           </div>
 
-          {videos.length > 0 ? (
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-              {videos.map((video) => (
-                <VideoCard key={video._id} video={video} />
-              ))}
+          {error && (
+            <div className="mb-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+              <p className="text-red-400 text-sm">{error}</p>
             </div>
-          ) : (
+          )}
+
+          {loading || videos.length > 0 ? (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                {!loading && videos.map((video) => (
+                  <VideoCard key={video._id} video={video} progress={watchProgress[video._id]} />
+                ))}
+                {(loading || loadingMore) && Array.from({ length: loading ? 8 : 4 }, (_, index) => (
+                  <VideoCardSkeleton key={`skeleton-${index}`} />
+                ))}
+              </div>
+              {hasMore && <div ref={sentinelRef} className="h-1" />}
+            </>
+          ) : !error && (
             <div className="text-center py-16">
               <Video className="h-16 w-16 text-slate-600 mx-auto mb-4" />
               <h3 className="text-xl font-semibold text-slate-300 mb-2">
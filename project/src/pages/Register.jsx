@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Eye, EyeOff, UserPlus, Loader } from 'lucide-react';
+import { Eye, EyeOff, UserPlus, Loader, MailCheck } from 'lucide-react';
+import ResendVerification from '../components/ResendVerification';
+import ProviderButtons from '../components/ProviderButtons';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -14,6 +16,7 @@ const Register = () => {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [registeredEmail, setRegisteredEmail] = useState('');
 
   const { register, user } = useAuth();
   const navigate = useNavigate();
@@ -56,7 +59,7 @@ const Register = () => {
     const result = await register(formData.username, formData.email, formData.password);
     
     if (result.success) {
-      navigate('/');
+      setRegisteredEmail(result.email);
     } else {
       setError(result.message);
     }
@@ -64,6 +67,30 @@ const Register = () => {
     setLoading(false);
   };
 
+  if (registeredEmail) {
+    return (
+      <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-8 text-center">
+          <MailCheck className="h-12 w-12 text-blue-400 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-white mb-2">Check your email</h2>
+          <p className="text-slate-400 mb-6">
+            We sent a link to <span className="text-white">{registeredEmail}</span>. Open it to confirm
+            your address, then sign in.
+          </p>
+          <ResendVerification email={registeredEmail} />
+          <div className="mt-6 pt-6 border-t border-slate-700">
+            <Link
+              to="/login"
+              className="text-blue-400 hover:text-blue-300 font-medium transition-colors"
+            >
+              Go to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full">
@@ -187,6 +214,8 @@ const Register = () => {
             </button>
           </form>
 
+          <ProviderButtons />
+
           <div className="mt-6 pt-6 border-t border-slate-700">
             <p className="text-center text-slate-400">
               Already have an account?{' '}
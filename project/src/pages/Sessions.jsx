@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Monitor, Smartphone, Loader, LogOut, ArrowLeft } from 'lucide-react';
+
+// "Chrome on Windows" from a user agent string; good enough to recognise a device
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+  ];
+  const systems = [
+    ['Android', 'Android'],
+    ['iPhone', 'iPhone'],
+    ['iPad', 'iPad'],
+    ['Windows', 'Windows'],
+    ['Mac OS X', 'macOS'],
+    ['CrOS', 'ChromeOS'],
+    ['Linux', 'Linux']
+  ];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker))?.[1] || 'Unknown browser';
+  const system = systems.find(([marker]) => userAgent.includes(marker))?.[1];
+
+  return system ? `${browser} on ${system}` : browser;
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [revoking, setRevoking] = useState(null);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('https://vid-share-backend.onrender.com/api/auth/sessions');
+      setSessions(response.data);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      setError(error.response?.data?.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revokeSession = async (sessionId) => {
+    try {
+      setRevoking(sessionId);
+      setError('');
+      await axios.delete(`https://vid-share-backend.onrender.com/api/auth/sessions/${sessionId}`);
+      setSessions((prev) => prev.filter((session) => session.id !== sessionId));
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      setError(error.response?.data?.message || 'Failed to sign out session');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const revokeOthers = async () => {
+    if (!window.confirm('Sign out of every other device?')) {
+      return;
+    }
+
+    try {
+      setRevoking('others');
+      setError('');
+      await axios.delete('https://vid-share-backend.onrender.com/api/auth/sessions');
+      setSessions((prev) => prev.filter((session) => session.current));
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      setError(error.response?.data?.message || 'Failed to sign out other sessions');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <Loader className="h-12 w-12 animate-spin text-blue-500 mx-auto mb-4" />
+          <p className="text-slate-400">Loading sessions...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const otherSessions = sessions.filter((session) => !session.current);
+
+  return (
+    <div className="min-h-screen py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        <Link
+          to="/profile"
+          className="inline-flex items-center text-sm text-blue-400 hover:text-blue-300 mb-2 transition-colors"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Profile
+        </Link>
+
+        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent mb-2">
+              Sessions
+            </h1>
+            <p className="text-slate-400">Devices where you're signed in</p>
+          </div>
+          {otherSessions.length > 0 && (
+            <button
+              onClick={revokeOthers}
+              disabled={revoking !== null}
+              className="inline-flex items-center px-4 py-2 bg-red-500/20 text-red-400 hover:bg-red-500/30 rounded-lg transition-colors disabled:opacity-50"
+            >
+              <LogOut className="h-4 w-4 mr-2" />
+              Sign out everywhere else
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 divide-y divide-slate-700/50">
+          {sessions.map((session) => {
+            const DeviceIcon = isMobile(session.userAgent) ? Smartphone : Monitor;
+
+            return (
+              <div key={session.id} className="flex items-center space-x-4 p-4">
+                <DeviceIcon className="h-8 w-8 text-slate-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-white font-medium truncate">{describeDevice(session.userAgent)}</span>
+                    {session.current && (
+                      <span className="px-2 py-0.5 bg-green-500/20 text-green-400 rounded-full text-xs">
+                        This device
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-slate-400 text-sm">
+                    {session.ip && `${session.ip} · `}Last active {formatDate(session.lastUsedAt)}
+                  </p>
+                  <p className="text-slate-500 text-xs">Signed in {formatDate(session.createdAt)}</p>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => revokeSession(session.id)}
+                    disabled={revoking !== null}
+                    className="px-3 py-1.5 bg-slate-700/50 text-slate-300 hover:bg-slate-700 rounded-lg text-sm transition-colors disabled:opacity-50"
+                  >
+                    {revoking === session.id ? 'Signing out...' : 'Sign out'}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import VideoCard from '../components/VideoCard';
+import useWatchProgress from '../hooks/useWatchProgress';
+import { Users, Loader } from 'lucide-react';
+
+const Subscriptions = () => {
+  const [videos, setVideos] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const watchProgress = useWatchProgress(videos);
+
+  useEffect(() => {
+    fetchVideos(1);
+  }, []);
+
+  const fetchVideos = async (pageToLoad) => {
+    try {
+      pageToLoad === 1 ? setLoading(true) : setLoadingMore(true);
+      const response = await axios.get(
+        `https://vid-share-backend.onrender.com/api/videos/feed/subscriptions?page=${pageToLoad}`
+      );
+      setVideos((prev) => (pageToLoad === 1 ? response.data.videos : [...prev, ...response.data.videos]));
+      setTotalPages(response.data.totalPages);
+      setPage(pageToLoad);
+    } catch (error) {
+      console.error('Error fetching subscription feed:', error);
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <Loader className="h-12 w-12 animate-spin text-blue-500 mx-auto mb-4" />
+          <p className="text-slate-400">Loading subscriptions...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent mb-4">
+            Subscriptions
+          </h1>
+          <p className="text-slate-400 text-lg">
+            The latest uploads from channels you follow
+          </p>
+        </div>
+
+        {/* Videos Grid */}
+        {videos.length > 0 ? (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+              {videos.map((video) => (
+                <VideoCard key={video._id} video={video} progress={watchProgress[video._id]} />
+              ))}
+            </div>
+
+            {page < totalPages && (
+              <div className="text-center mt-8">
+                <button
+                  onClick={() => fetchVideos(page + 1)}
+                  disabled={loadingMore}
+                  className="inline-flex items-center px-6 py-3 bg-slate-700/50 hover:bg-slate-700 text-white font-medium rounded-lg transition-colors disabled:opacity-50"
+                >
+                  {loadingMore && <Loader className="h-5 w-5 animate-spin mr-2" />}
+                  Load More
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-center py-16">
+            <Users className="h-16 w-16 text-slate-600 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-slate-300 mb-2">
+              No videos from your subscriptions
+            </h3>
+            <p className="text-slate-400 mb-6">
+              Subscribe to creators to see their latest uploads here.
+            </p>
+            <Link
+              to="/"
+              className="inline-flex items-center px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
+            >
+              Discover Videos
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Subscriptions;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import VideoCard from '../components/VideoCard';
+import VideoCardSkeleton from '../components/VideoCardSkeleton';
+import useWatchProgress from '../hooks/useWatchProgress';
+import useInfiniteVideos from '../hooks/useInfiniteVideos';
+import { Hash } from 'lucide-react';
+
+const sortTabs = [
+  { value: 'date', label: 'Latest' },
+  { value: 'trending', label: 'Trending' },
+  { value: 'views', label: 'Most viewed' }
+];
+
+const Tag = () => {
+  const { name } = useParams();
+  const [sort, setSort] = useState('date');
+  const [popularTags, setPopularTags] = useState([]);
+
+  const fetchPage = async ({ cursor, limit }) => {
+    const response = await axios.get('https://vid-share-backend.onrender.com/api/videos', {
+      params: { tag: name, sort, cursor, limit }
+    });
+    return response.data;
+  };
+
+  const { videos, firstPage, loading, loadingMore, hasMore, error, sentinelRef } = useInfiniteVideos(
+    fetchPage,
+    [name, sort]
+  );
+  const total = firstPage?.total || 0;
+  const watchProgress = useWatchProgress(videos);
+
+  useEffect(() => {
+    axios.get('https://vid-share-backend.onrender.com/api/videos/tags/popular', { params: { limit: 20 } })
+      .then((response) => setPopularTags(response.data.tags))
+      .catch((error) => console.error('Error fetching popular tags:', error));
+  }, []);
+
+  return (
+    <div className="min-h-screen py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4 mb-6">
+          <div>
+            <h1 className="flex items-center text-3xl font-bold text-white mb-2">
+              <Hash className="h-8 w-8 text-blue-400 mr-1" />
+              {name}
+            </h1>
+            <p className="text-slate-400">
+              {total} video{total !== 1 ? 's' : ''}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            {sortTabs.map((tab) => (
+              <button
+                key={tab.value}
+                onClick={() => setSort(tab.value)}
+                className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                  sort === tab.value
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-slate-800/50 text-slate-300 hover:bg-slate-700 hover:text-white'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Popular tags */}
+        {popularTags.length > 0 && (
+          <div className="mb-8 flex flex-wrap gap-2">
+            {popularTags.map((tag) => (
+              <Link
+                key={tag.name}
+                to={`/tag/${encodeURIComponent(tag.name)}`}
+                className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                  tag.name === name
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-blue-500/20 text-blue-400 hover:bg-blue-500/30'
+                }`}
+              >
+                #{tag.name} <span className="opacity-70">{tag.count}</span>
+              </Link>
+            ))}
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {loading || videos.length > 0 ? (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+              {!loading && videos.map((video) => (
+                <VideoCard key={video._id} video={video} progress={watchProgress[video._id]} />
+              ))}
+              {(loading || loadingMore) && Array.from({ length: loading ? 8 : 4 }, (_, index) => (
+                <VideoCardSkeleton key={`skeleton-${index}`} />
+              ))}
+            </div>
+            {hasMore && <div ref={sentinelRef} className="h-1" />}
+          </>
+        ) : !error && (
+          <div className="text-center py-16">
+            <Hash className="h-16 w-16 text-slate-600 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-slate-300 mb-2">
+              No videos tagged #{name}
+            </h3>
+            <p className="text-slate-400 mb-6">
+              Try one of the popular tags above, or browse all videos.
+            </p>
+            <Link
+              to="/"
+              className="inline-flex items-center px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
+            >
+              Discover Videos
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Tag;
@@ -0,0 +1,312 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import { ShieldCheck, ShieldOff, KeyRound, Loader, ArrowLeft, Copy, Check } from 'lucide-react';
+
+const TWO_FACTOR_URL = 'https://vid-share-backend.onrender.com/api/auth/me/2fa';
+
+const inputClassName = 'w-full px-4 py-3 bg-slate-700/50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+// Freshly issued recovery codes; they can't be shown again once the user moves on
+const RecoveryCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+    } catch (error) {
+      console.error('Copy recovery codes error:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <h2 className="text-lg font-semibold text-white">Save your recovery codes</h2>
+      <p className="text-slate-400 text-sm">
+        If you lose your authenticator app, each of these codes signs you in once.
+        Keep them somewhere safe; they won't be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 p-4 bg-slate-900/50 rounded-lg font-mono text-white">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex items-center space-x-3">
+        <button
+          type="button"
+          onClick={copyCodes}
+          className="inline-flex items-center px-4 py-2 bg-slate-700/50 hover:bg-slate-700 text-white rounded-lg transition-colors"
+        >
+          {copied ? <Check className="h-4 w-4 mr-2" /> : <Copy className="h-4 w-4 mr-2" />}
+          {copied ? 'Copied' : 'Copy codes'}
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
+        >
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactor = () => {
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  // QR code, secret and otpauth:// URI while an app is being added
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(TWO_FACTOR_URL);
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+      setError(error.response?.data?.message || 'Failed to load two-factor settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run one of the password-protected actions, reporting failures in the page
+  const submit = async (action) => {
+    setWorking(true);
+    setError('');
+    try {
+      await action();
+    } catch (error) {
+      console.error('Two-factor error:', error);
+      setError(error.response?.data?.message || 'Something went wrong, please try again');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const startSetup = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await axios.post(`${TWO_FACTOR_URL}/setup`, { password });
+      setEnrollment(response.data);
+    });
+  };
+
+  const enable = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await axios.post(`${TWO_FACTOR_URL}/enable`, { password, code });
+      updateUser(response.data.user);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setEnrollment(null);
+      setPassword('');
+      setCode('');
+    });
+  };
+
+  const disable = () => {
+    if (!window.confirm('Turn off two-factor authentication?')) {
+      return;
+    }
+    submit(async () => {
+      const response = await axios.post(`${TWO_FACTOR_URL}/disable`, { password });
+      updateUser(response.data.user);
+      setPassword('');
+      await fetchStatus();
+    });
+  };
+
+  const regenerateCodes = () => {
+    submit(async () => {
+      const response = await axios.post(`${TWO_FACTOR_URL}/recovery-codes`, { password });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setPassword('');
+    });
+  };
+
+  const finishRecoveryCodes = () => {
+    setRecoveryCodes(null);
+    fetchStatus();
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <Loader className="h-12 w-12 animate-spin text-blue-500 mx-auto mb-4" />
+          <p className="text-slate-400">Loading two-factor settings...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const passwordField = (
+    <div>
+      <label htmlFor="password" className="block text-sm font-medium text-slate-300 mb-2">
+        Current Password
+      </label>
+      <input
+        id="password"
+        name="password"
+        type="password"
+        required
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        className={inputClassName}
+        autoComplete="current-password"
+      />
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen py-8">
+      <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+        <Link
+          to="/profile"
+          className="inline-flex items-center text-sm text-blue-400 hover:text-blue-300 mb-2 transition-colors"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Profile
+        </Link>
+
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent mb-2">
+            Two-Factor Authentication
+          </h1>
+          <p className="text-slate-400">Ask for a code from your authenticator app when you sign in</p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-8">
+          {recoveryCodes ? (
+            <RecoveryCodes codes={recoveryCodes} onDone={finishRecoveryCodes} />
+          ) : status?.enabled ? (
+            <div className="space-y-6">
+              <div className="flex items-center space-x-3">
+                <ShieldCheck className="h-8 w-8 text-green-400" />
+                <div>
+                  <p className="text-white font-medium">Two-factor authentication is on</p>
+                  <p className="text-slate-400 text-sm">
+                    {status.enabledAt && `Since ${formatDate(status.enabledAt)} · `}
+                    {status.recoveryCodesRemaining} recovery codes left
+                  </p>
+                </div>
+              </div>
+
+              {passwordField}
+
+              <div className="flex flex-wrap gap-3">
+                <button
+                  type="button"
+                  onClick={regenerateCodes}
+                  disabled={working || !password}
+                  className="inline-flex items-center px-4 py-2 bg-slate-700/50 hover:bg-slate-700 text-white rounded-lg transition-colors disabled:opacity-50"
+                >
+                  <KeyRound className="h-4 w-4 mr-2" />
+                  New recovery codes
+                </button>
+                <button
+                  type="button"
+                  onClick={disable}
+                  disabled={working || !password}
+                  className="inline-flex items-center px-4 py-2 bg-red-500/20 text-red-400 hover:bg-red-500/30 rounded-lg transition-colors disabled:opacity-50"
+                >
+                  <ShieldOff className="h-4 w-4 mr-2" />
+                  Turn off
+                </button>
+              </div>
+            </div>
+          ) : enrollment ? (
+            <form onSubmit={enable} className="space-y-6">
+              <div>
+                <h2 className="text-lg font-semibold text-white mb-2">Scan this QR code</h2>
+                <p className="text-slate-400 text-sm mb-4">
+                  Use an authenticator app such as Google Authenticator, 1Password or Authy.
+                  On this device, you can <a href={enrollment.otpauthUri} className="text-blue-400 hover:text-blue-300">open it in your app</a> instead.
+                </p>
+                <img
+                  src={enrollment.qrCode}
+                  alt="QR code for your authenticator app"
+                  className="w-48 h-48 bg-white rounded-lg p-2"
+                />
+                <p className="mt-4 text-slate-400 text-sm">
+                  Can't scan it? Enter this key: <span className="font-mono text-white break-all">{enrollment.secret}</span>
+                </p>
+              </div>
+
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-slate-300 mb-2">
+                  Code from the app
+                </label>
+                <input
+                  id="code"
+                  name="code"
+                  type="text"
+                  required
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className={inputClassName}
+                  placeholder="123456"
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={working}
+                className="flex items-center justify-center px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white font-medium rounded-lg transition-colors"
+              >
+                {working ? <Loader className="h-5 w-5 animate-spin mr-2" /> : <ShieldCheck className="h-5 w-5 mr-2" />}
+                Turn On
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={startSetup} className="space-y-6">
+              <p className="text-slate-400">
+                Two-factor authentication is off. Confirm your password to add an authenticator app.
+              </p>
+
+              {passwordField}
+
+              <button
+                type="submit"
+                disabled={working}
+                className="flex items-center justify-center px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white font-medium rounded-lg transition-colors"
+              >
+                {working ? <Loader className="h-5 w-5 animate-spin mr-2" /> : <ShieldCheck className="h-5 w-5 mr-2" />}
+                Set Up
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactor;
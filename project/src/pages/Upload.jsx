@@ -2,6 +2,23 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Upload as UploadIcon, X, Film, Loader, Link as LinkIcon } from 'lucide-react';
 import axios from 'axios';
+import { videoCategories } from '../constants/categories';
+
+const UPLOADS_URL = 'https://vid-share-backend.onrender.com/api/videos/uploads';
+const MAX_RETRIES = 5;
+
+// Interrupted uploads are remembered per file so picking the same file again resumes it
+const uploadKey = (file) => `upload:${file.name}-${file.size}-${file.lastModified}`;
+
+const loadSavedUpload = (file) => {
+  try {
+    return JSON.parse(localStorage.getItem(uploadKey(file)));
+  } catch {
+    return null;
+  }
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const Upload = () => {
   const [uploadType, setUploadType] = useState('file'); // 'file' or 'link'
@@ -9,12 +26,16 @@ const Upload = () => {
     title: '',
     description: '',
     tags: '',
-    videoUrl: ''
+    videoUrl: '',
+    category: 'other',
+    visibility: 'public'
   });
   const [file, setFile] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadStatus, setUploadStatus] = useState('');
+  const [resumable, setResumable] = useState(false);
   const [error, setError] = useState('');
 
   const navigate = useNavigate();
@@ -50,6 +71,17 @@ const Upload = () => {
 
     setFile(selectedFile);
     setError('');
+
+    // Pick up where an interrupted upload of the same file left off
+    const saved = loadSavedUpload(selectedFile);
+    if (saved) {
+      setFormData((prev) => ({ ...prev, ...saved.details }));
+      setUploadProgress(Math.round((saved.offset / selectedFile.size) * 100));
+      setResumable(true);
+    } else {
+      setUploadProgress(0);
+      setResumable(false);
+    }
   };
 
   const handleDrag = (e) => {
@@ -80,6 +112,8 @@ const Upload = () => {
 
   const removeFile = () => {
     setFile(null);
+    setResumable(false);
+    setUploadProgress(0);
     setError('');
   };
 
@@ -118,9 +152,7 @@ const Upload = () => {
   // Convert Google Drive share links to preview format (for iframe embedding)
   const normalizeDriveLink = (url) => {
     // Handle standard Google Drive share links
-    const shareMatch = url.match(/\/file\/d\/([^/]+)/);
-    if (shareMatch) {
-      const id = shareMatch[1];
+    if (/\/file\/d\/[^/]+/.test(url)) {
       // Keep the original share URL format - the backend will handle conversion to preview
       return url;
     }
@@ -137,6 +169,88 @@ const Upload = () => {
     return url;
   };
 
+  const createUploadSession = async () => {
+    const details = {
+      title: formData.title,
+      description: formData.description,
+      tags: formData.tags,
+      category: formData.category,
+      visibility: formData.visibility
+    };
+    const response = await axios.post(UPLOADS_URL, {
+      filename: file.name,
+      size: file.size,
+      ...details
+    });
+    const saved = { id: response.data.id, offset: 0, details };
+    localStorage.setItem(uploadKey(file), JSON.stringify(saved));
+    return { ...saved, chunkSize: response.data.chunkSize };
+  };
+
+  // Ask the server how much it already has; null when the session is gone
+  const fetchUploadSession = async (id) => {
+    try {
+      const response = await axios.get(`${UPLOADS_URL}/${id}`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  };
+
+  const uploadInChunks = async () => {
+    const saved = loadSavedUpload(file);
+    let session = saved && await fetchUploadSession(saved.id);
+    if (!session) {
+      localStorage.removeItem(uploadKey(file));
+      session = await createUploadSession();
+    }
+
+    const { id, chunkSize } = session;
+    let { offset } = session;
+    let retries = 0;
+
+    while (offset < file.size) {
+      const chunk = file.slice(offset, offset + chunkSize);
+      setUploadStatus(retries ? `Connection lost, retrying (${retries}/${MAX_RETRIES})...` : 'Uploading...');
+
+      try {
+        const chunkStart = offset;
+        const response = await axios.put(`${UPLOADS_URL}/${id}`, chunk, {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Upload-Offset': chunkStart
+          },
+          onUploadProgress: (progressEvent) => {
+            setUploadProgress(Math.round(((chunkStart + progressEvent.loaded) * 100) / file.size));
+          }
+        });
+        offset = response.data.offset;
+        retries = 0;
+      } catch (error) {
+        if (error.response?.status === 409) {
+          // The server is ahead of or behind us; continue from its offset
+          offset = error.response.data.offset;
+        } else if (error.response && error.response.status < 500) {
+          throw error;
+        } else if (retries >= MAX_RETRIES) {
+          throw error;
+        } else {
+          retries += 1;
+          await wait(Math.min(1000 * 2 ** retries, 30000));
+        }
+      }
+
+      localStorage.setItem(uploadKey(file), JSON.stringify({ ...loadSavedUpload(file), offset }));
+      setUploadProgress(Math.round((offset * 100) / file.size));
+    }
+
+    setUploadStatus('Finishing up...');
+    const response = await axios.post(`${UPLOADS_URL}/${id}/complete`);
+    localStorage.removeItem(uploadKey(file));
+    return response;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -162,35 +276,14 @@ const Upload = () => {
     }
 
     setUploading(true);
-    setUploadProgress(0);
     setError('');
 
     try {
       let response;
 
       if (uploadType === 'file') {
-        // File upload
-        const uploadFormData = new FormData();
-        uploadFormData.append('video', file);
-        uploadFormData.append('title', formData.title);
-        uploadFormData.append('description', formData.description);
-        uploadFormData.append('tags', formData.tags);
-
-        response = await axios.post(
-          'https://vid-share-backend.onrender.com/api/videos/upload',
-          uploadFormData,
-          {
-            headers: {
-              'Content-Type': 'multipart/form-data',
-            },
-            onUploadProgress: (progressEvent) => {
-              const percentCompleted = Math.round(
-                (progressEvent.loaded * 100) / progressEvent.total
-              );
-              setUploadProgress(percentCompleted);
-            },
-          }
-        );
+        // Chunked, resumable file upload
+        response = await uploadInChunks();
       } else {
         // Link upload with Drive link normalization
         const normalizedUrl = normalizeDriveLink(formData.videoUrl);
@@ -201,6 +294,8 @@ const Upload = () => {
             title: formData.title,
             description: formData.description,
             tags: formData.tags,
+            category: formData.category,
+            visibility: formData.visibility,
             videoUrl: normalizedUrl
           },
           {
@@ -215,9 +310,15 @@ const Upload = () => {
       navigate(`/video/${response.data._id}`);
     } catch (error) {
       console.error('Upload error:', error);
-      setError(error.response?.data?.message || 'Error uploading video');
+      if (uploadType === 'file' && !error.response) {
+        setResumable(true);
+        setError('Upload interrupted. Check your connection and resume to continue where you left off.');
+      } else {
+        setError(error.response?.data?.message || 'Error uploading video');
+      }
     } finally {
       setUploading(false);
+      setUploadStatus('');
     }
   };
 
@@ -318,12 +419,16 @@ const Upload = () => {
                       <Film className="h-8 w-8 text-blue-400" />
                       <div>
                         <p className="text-white font-medium">{file.name}</p>
-                        <p className="text-slate-400 text-sm">{formatFileSize(file.size)}</p>
+                        <p className="text-slate-400 text-sm">
+                          {formatFileSize(file.size)}
+                          {resumable && !uploading && ` · ${uploadProgress}% uploaded, ready to resume`}
+                        </p>
                       </div>
                     </div>
                     <button
                       type="button"
                       onClick={removeFile}
+                      disabled={uploading}
                       className="text-slate-400 hover:text-red-400 transition-colors"
                     >
                       <X className="h-5 w-5" />
@@ -407,11 +512,47 @@ const Upload = () => {
               />
             </div>
 
+            {/* Category */}
+            <div>
+              <label htmlFor="category" className="block text-sm font-medium text-slate-300 mb-2">
+                Category
+              </label>
+              <select
+                id="category"
+                name="category"
+                value={formData.category}
+                onChange={handleChange}
+                className="w-full px-4 py-3 bg-slate-700/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+              >
+                {videoCategories.map((category) => (
+                  <option key={category.value} value={category.value}>{category.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Visibility */}
+            <div>
+              <label htmlFor="visibility" className="block text-sm font-medium text-slate-300 mb-2">
+                Visibility
+              </label>
+              <select
+                id="visibility"
+                name="visibility"
+                value={formData.visibility}
+                onChange={handleChange}
+                className="w-full px-4 py-3 bg-slate-700/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+              >
+                <option value="public">Public - anyone can find and watch</option>
+                <option value="unlisted">Unlisted - only people with the link</option>
+                <option value="private">Private - only you</option>
+              </select>
+            </div>
+
             {/* Upload Progress */}
-            {uploading && uploadType === 'file' && (
+            {(uploading || resumable) && uploadType === 'file' && file && (
               <div className="space-y-2">
                 <div className="flex justify-between text-sm">
-                  <span className="text-slate-300">Uploading...</span>
+                  <span className="text-slate-300">{uploading ? uploadStatus : 'Paused'}</span>
                   <span className="text-slate-300">{uploadProgress}%</span>
                 </div>
                 <div className="w-full bg-slate-700 rounded-full h-2">
@@ -441,7 +582,7 @@ const Upload = () => {
                   ) : (
                     <LinkIcon className="h-5 w-5 mr-2" />
                   )}
-                  {uploadType === 'file' ? 'Upload Video' : 'Add Video Link'}
+                  {uploadType === 'file' ? (resumable ? 'Resume Upload' : 'Upload Video') : 'Add Video Link'}
                 </>
               )}
             </button>
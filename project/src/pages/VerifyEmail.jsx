@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import { CheckCircle, XCircle, Loader } from 'lucide-react';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This link is invalid or has expired');
+  const { user, updateUser } = useAuth();
+  // Tokens are single use, so make sure the request only goes out once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await axios.post('https://vid-share-backend.onrender.com/api/auth/verify-email', { token });
+        setMessage(response.data.message);
+        setStatus('verified');
+        if (user && user.id === response.data.user.id) {
+          updateUser(response.data.user);
+        }
+      } catch (error) {
+        console.error('Verify email error:', error);
+        setMessage(error.response?.data?.message || 'Failed to confirm email address');
+        setStatus('error');
+      }
+    };
+
+    verify();
+  }, [token, user, updateUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-8 text-center">
+        {status === 'verifying' && (
+          <>
+            <Loader className="h-12 w-12 animate-spin text-blue-500 mx-auto mb-4" />
+            <p className="text-slate-400">Confirming your email address...</p>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <CheckCircle className="h-12 w-12 text-green-400 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-white mb-2">{message}</h2>
+            <Link
+              to={user ? '/profile' : '/login'}
+              className="inline-block mt-4 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
+            >
+              {user ? 'Back to your profile' : 'Sign in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <XCircle className="h-12 w-12 text-red-400 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-white mb-2">Couldn't confirm your email</h2>
+            <p className="text-slate-400 mb-4">{message}</p>
+            <p className="text-slate-400 text-sm">
+              Try signing in to get a new link.
+            </p>
+            <Link
+              to="/login"
+              className="inline-block mt-4 text-blue-400 hover:text-blue-300 font-medium transition-colors"
+            >
+              Go to sign in
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
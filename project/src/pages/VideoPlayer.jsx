@@ -1,25 +1,137 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import VideoPlayer from '../components/VideoPlayer';
-import { Heart, Trash2, Eye, Calendar, Loader, ArrowLeft } from 'lucide-react';
+import Comments from '../components/Comments';
+import EditVideoDialog from '../components/EditVideoDialog';
+import AddToPlaylistDialog from '../components/AddToPlaylistDialog';
+import CompactVideoCard from '../components/CompactVideoCard';
+import usePlaybackTracking from '../hooks/usePlaybackTracking';
+import { Heart, Trash2, Pencil, Eye, Calendar, Loader, ArrowLeft, UserPlus, UserCheck, Lock, Link as LinkIcon, ListPlus, BarChart3 } from 'lucide-react';
 import axios from 'axios';
 
 const VideoPlayerPage = () => {
   const { id } = useParams();
   const { user } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
   const [video, setVideo] = useState(null);
   const [loading, setLoading] = useState(true);
   const [liked, setLiked] = useState(false);
   const [likesCount, setLikesCount] = useState(0);
   const [error, setError] = useState('');
   const [deleting, setDeleting] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [savingToPlaylist, setSavingToPlaylist] = useState(false);
+  const [subscribed, setSubscribed] = useState(false);
+  const [subscriberCount, setSubscriberCount] = useState(0);
+  const [resumeFrom, setResumeFrom] = useState(0);
+  const [related, setRelated] = useState([]);
+  const [autoplay, setAutoplay] = useState(() => localStorage.getItem('autoplay') !== 'false');
+  const lastSavedPositionRef = useRef(0);
+  const latestProgressRef = useRef(null);
 
   useEffect(() => {
     fetchVideo();
   }, [id]);
 
+  // Poll until background processing finishes
+  useEffect(() => {
+    if (video?.processingStatus !== 'processing') return;
+
+    const interval = setInterval(async () => {
+      try {
+        const response = await axios.get(`https://vid-share-backend.onrender.com/api/videos/${id}/status`);
+        if (response.data.processingStatus !== 'processing') {
+          setVideo((prev) => ({ ...prev, ...response.data }));
+        }
+      } catch (error) {
+        console.error('Error fetching video status:', error);
+      }
+    }, 5000);
+
+    return () => clearInterval(interval);
+  }, [id, video?.processingStatus]);
+
+  useEffect(() => {
+    setRelated([]);
+    axios.get(`https://vid-share-backend.onrender.com/api/videos/${id}/related`)
+      .then((response) => setRelated(response.data.videos))
+      .catch((error) => console.error('Error fetching related videos:', error));
+  }, [id]);
+
+  // Look up where the viewer stopped last time
+  useEffect(() => {
+    setResumeFrom(0);
+    if (!user) return;
+
+    axios.get(`https://vid-share-backend.onrender.com/api/history/${id}`)
+      .then((response) => {
+        const { position, duration } = response.data;
+        // Not worth offering for the first few seconds or the closing credits
+        if (position > 5 && (!duration || position < duration - 10)) {
+          setResumeFrom(position);
+        }
+      })
+      .catch((error) => console.error('Error fetching watch position:', error));
+  }, [id, user]);
+
+  const saveProgress = useCallback((currentTime, duration) => {
+    lastSavedPositionRef.current = currentTime;
+    axios.put(`https://vid-share-backend.onrender.com/api/history/${id}`, {
+      position: currentTime,
+      duration: Number.isFinite(duration) ? duration : 0
+    }).catch((error) => console.error('Error saving watch position:', error));
+  }, [id]);
+
+  const trackPlayback = usePlaybackTracking(video?._id === id ? id : null, {
+    embedded: Boolean(video?.videoUrl.includes('drive.google.com')),
+    onCounted: (views) => setVideo((prev) => (prev ? { ...prev, views } : prev))
+  });
+
+  // Count the view, then save progress every 10 seconds and whenever playback pauses
+  const handleProgress = useCallback(({ currentTime, duration, paused }) => {
+    trackPlayback({ currentTime, duration, paused });
+    if (!user) return;
+
+    latestProgressRef.current = { currentTime, duration };
+    if (paused || Math.abs(currentTime - lastSavedPositionRef.current) >= 10) {
+      saveProgress(currentTime, duration);
+    }
+  }, [user, saveProgress, trackPlayback]);
+
+  // Save the final position when leaving the page
+  useEffect(() => {
+    lastSavedPositionRef.current = 0;
+    latestProgressRef.current = null;
+
+    return () => {
+      const latest = latestProgressRef.current;
+      if (user && latest && latest.currentTime !== lastSavedPositionRef.current) {
+        saveProgress(latest.currentTime, latest.duration);
+      }
+    };
+  }, [user, saveProgress]);
+
+  const upNext = related[0];
+
+  const handleAutoplayChange = (e) => {
+    setAutoplay(e.target.checked);
+    localStorage.setItem('autoplay', String(e.target.checked));
+  };
+
+  const handleEnded = () => {
+    if (autoplay && upNext) {
+      navigate(`/video/${upNext._id}`, { state: { autoplay: true } });
+    }
+  };
+
+  useEffect(() => {
+    if (user && video && user.id !== video.uploader._id) {
+      fetchSubscription();
+    }
+  }, [user, video?.uploader._id]);
+
   const fetchVideo = async () => {
     try {
       setLoading(true);
@@ -27,6 +139,7 @@ const VideoPlayerPage = () => {
       setVideo(response.data);
       setLikesCount(response.data.likes?.length || 0);
       setLiked(user && response.data.likes?.includes(user.id));
+      setSubscriberCount(response.data.uploader.subscriberCount || 0);
     } catch (error) {
       console.error('Error fetching video:', error);
       setError('Video not found or unavailable');
@@ -50,6 +163,56 @@ const VideoPlayerPage = () => {
     }
   };
 
+  const handleSaveToPlaylist = () => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    setSavingToPlaylist(true);
+  };
+
+  const fetchSubscription = async () => {
+    try {
+      const response = await axios.get(
+        `https://vid-share-backend.onrender.com/api/users/${video.uploader._id}/subscription`
+      );
+      setSubscribed(response.data.subscribed);
+      setSubscriberCount(response.data.subscriberCount);
+    } catch (error) {
+      console.error('Error fetching subscription:', error);
+    }
+  };
+
+  const handleSubscribe = async () => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    try {
+      const response = await axios.post(
+        `https://vid-share-backend.onrender.com/api/users/${video.uploader._id}/subscribe`
+      );
+      setSubscribed(response.data.subscribed);
+      setSubscriberCount(response.data.subscriberCount);
+    } catch (error) {
+      console.error('Error updating subscription:', error);
+    }
+  };
+
+  const handleVisibilityChange = async (e) => {
+    try {
+      const response = await axios.patch(
+        `https://vid-share-backend.onrender.com/api/videos/${id}/visibility`,
+        { visibility: e.target.value }
+      );
+      setVideo({ ...video, visibility: response.data.visibility });
+    } catch (error) {
+      console.error('Error updating visibility:', error);
+    }
+  };
+
   const handleDelete = async () => {
     if (!window.confirm('Are you sure you want to delete this video? This action cannot be undone.')) {
       return;
@@ -114,6 +277,24 @@ const VideoPlayerPage = () => {
 
   return (
     <div className="min-h-screen py-6">
+      {editing && (
+        <EditVideoDialog
+          video={video}
+          onClose={() => setEditing(false)}
+          onSaved={(updatedVideo) => {
+            setVideo(updatedVideo);
+            setEditing(false);
+          }}
+        />
+      )}
+
+      {savingToPlaylist && (
+        <AddToPlaylistDialog
+          videoId={video._id}
+          onClose={() => setSavingToPlaylist(false)}
+        />
+      )}
+
       <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Video Player */}
@@ -121,10 +302,32 @@ const VideoPlayerPage = () => {
             <div className="aspect-video">
               <VideoPlayer
                 src={video.videoUrl}
+                hlsSrc={video.hls?.masterUrl}
                 poster={video.thumbnailUrl}
+                resumeFrom={resumeFrom}
+                autoPlay={Boolean(location.state?.autoplay)}
+                onEnded={handleEnded}
+                onProgress={handleProgress}
               />
             </div>
 
+            {video.processingStatus === 'processing' && (
+              <div className="flex items-center space-x-3 p-4 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+                <Loader className="h-5 w-5 animate-spin text-blue-400" />
+                <p className="text-blue-400 text-sm">
+                  This video is still being processed. Duration and thumbnail will appear shortly.
+                </p>
+              </div>
+            )}
+
+            {video.processingStatus === 'failed' && user && user.id === video.uploader._id && (
+              <div className="p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+                <p className="text-red-400 text-sm">
+                  Processing failed{video.processingError ? `: ${video.processingError}` : ''}
+                </p>
+              </div>
+            )}
+
             {/* Video Info */}
             <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-6">
               <h1 className="text-2xl font-bold text-white mb-4">
@@ -141,9 +344,15 @@ const VideoPlayerPage = () => {
                     <Calendar className="h-4 w-4" />
                     <span>{formatDate(video.createdAt)}</span>
                   </div>
+                  {video.visibility !== 'public' && (
+                    <div className="flex items-center space-x-2">
+                      {video.visibility === 'private' ? <Lock className="h-4 w-4" /> : <LinkIcon className="h-4 w-4" />}
+                      <span className="capitalize">{video.visibility}</span>
+                    </div>
+                  )}
                 </div>
 
-                <div className="flex items-center space-x-4">
+                <div className="flex flex-wrap items-center gap-3">
                   <button
                     onClick={handleLike}
                     className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
@@ -156,6 +365,46 @@ const VideoPlayerPage = () => {
                     <span>{likesCount}</span>
                   </button>
 
+                  <button
+                    onClick={handleSaveToPlaylist}
+                    className="flex items-center space-x-2 px-4 py-2 bg-slate-700/50 text-slate-300 hover:bg-slate-700 rounded-lg transition-colors"
+                  >
+                    <ListPlus className="h-4 w-4" />
+                    <span>Save</span>
+                  </button>
+
+                  {user && user.id === video.uploader._id && (
+                    <button
+                      onClick={() => setEditing(true)}
+                      className="flex items-center space-x-2 px-4 py-2 bg-slate-700/50 text-slate-300 hover:bg-slate-700 rounded-lg transition-colors"
+                    >
+                      <Pencil className="h-4 w-4" />
+                      <span>Edit</span>
+                    </button>
+                  )}
+
+                  {user && user.id === video.uploader._id && (
+                    <Link
+                      to={`/analytics?video=${video._id}`}
+                      className="flex items-center space-x-2 px-4 py-2 bg-slate-700/50 text-slate-300 hover:bg-slate-700 rounded-lg transition-colors"
+                    >
+                      <BarChart3 className="h-4 w-4" />
+                      <span>Analytics</span>
+                    </Link>
+                  )}
+
+                  {user && user.id === video.uploader._id && (
+                    <select
+                      value={video.visibility}
+                      onChange={handleVisibilityChange}
+                      className="px-4 py-2 bg-slate-700/50 border border-slate-600 rounded-lg text-slate-300 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all"
+                    >
+                      <option value="public">Public</option>
+                      <option value="unlisted">Unlisted</option>
+                      <option value="private">Private</option>
+                    </select>
+                  )}
+
                   {user && user.id === video.uploader._id && (
                     <button
                       onClick={handleDelete}
@@ -182,18 +431,22 @@ const VideoPlayerPage = () => {
                 <div className="mt-6">
                   <h3 className="text-lg font-semibold text-white mb-3">Tags</h3>
                   <div className="flex flex-wrap gap-2">
-                    {video.tags.map((tag, index) => (
-                      <span
-                        key={index}
-                        className="px-3 py-1 bg-blue-500/20 text-blue-400 rounded-full text-sm"
+                    {video.tags.map((tag) => (
+                      <Link
+                        key={tag}
+                        to={`/tag/${encodeURIComponent(tag)}`}
+                        className="px-3 py-1 bg-blue-500/20 text-blue-400 hover:bg-blue-500/30 rounded-full text-sm transition-colors"
                       >
                         #{tag}
-                      </span>
+                      </Link>
                     ))}
                   </div>
                 </div>
               )}
             </div>
+
+            {/* Comments */}
+            <Comments videoId={video._id} videoOwnerId={video.uploader._id} />
           </div>
 
           {/* Sidebar */}
@@ -206,8 +459,14 @@ const VideoPlayerPage = () => {
                   {video.uploader.username[0].toUpperCase()}
                 </div>
                 <div>
-                  <p className="text-white font-medium">
+                  <Link
+                    to={`/channel/${video.uploader.username}`}
+                    className="text-white font-medium hover:text-blue-400 transition-colors"
+                  >
                     {video.uploader.username}
+                  </Link>
+                  <p className="text-slate-400 text-sm">
+                    {formatViews(subscriberCount)} subscriber{subscriberCount !== 1 ? 's' : ''}
                   </p>
                   {video.uploader.bio && (
                     <p className="text-slate-400 text-sm mt-1">
@@ -216,6 +475,20 @@ const VideoPlayerPage = () => {
                   )}
                 </div>
               </div>
+
+              {(!user || user.id !== video.uploader._id) && (
+                <button
+                  onClick={handleSubscribe}
+                  className={`mt-4 w-full flex items-center justify-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+                    subscribed
+                      ? 'bg-slate-700/50 text-slate-300 hover:bg-slate-700'
+                      : 'bg-blue-600 hover:bg-blue-700 text-white'
+                  }`}
+                >
+                  {subscribed ? <UserCheck className="h-4 w-4" /> : <UserPlus className="h-4 w-4" />}
+                  <span>{subscribed ? 'Subscribed' : 'Subscribe'}</span>
+                </button>
+              )}
             </div>
 
             {/* Video Stats */}
@@ -242,6 +515,36 @@ const VideoPlayerPage = () => {
                 </div>
               </div>
             </div>
+
+            {/* Related videos */}
+            {related.length > 0 && (
+              <div className="bg-slate-800/30 backdrop-blur-sm rounded-xl border border-slate-700/50 p-4">
+                <div className="flex items-center justify-between px-2 mb-2">
+                  <h3 className="text-lg font-semibold text-white">Up next</h3>
+                  <label className="flex items-center space-x-2 text-sm text-slate-300 cursor-pointer">
+                    <span>Autoplay</span>
+                    <input
+                      type="checkbox"
+                      checked={autoplay}
+                      onChange={handleAutoplayChange}
+                      className="h-4 w-4 accent-blue-500"
+                    />
+                  </label>
+                </div>
+                <CompactVideoCard video={upNext} />
+
+                {related.length > 1 && (
+                  <>
+                    <h3 className="text-lg font-semibold text-white px-2 mt-4 mb-2">Related videos</h3>
+                    <div className="space-y-1">
+                      {related.slice(1).map((relatedVideo) => (
+                        <CompactVideoCard key={relatedVideo._id} video={relatedVideo} />
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>